@@ -0,0 +1,103 @@
+// Predicted acquisition calendar for a tile, with iCalendar export, computed offline from the orbit table
+
+let orbitTable = null; // Orbit table used to predict overpasses
+
+// Load the orbit table, continuing without predictions if it is missing
+async function loadOrbitTable() {
+    try {
+        const response = await fetch(CONFIG.orbitTablePath);
+        if (!response.ok) {
+            console.warn('Orbit table not found, continuing without acquisition predictions');
+            return;
+        }
+
+        orbitTable = await response.json();
+        console.log(`Loaded orbit table for ${orbitTable.satellites.map(satellite => satellite.name).join(', ')}`);
+    } catch (error) {
+        console.warn('Failed to load orbit table:', error);
+    }
+}
+
+// Predict the acquisitions of a tile over the coming weeks
+// The orbits come from the swath file when it is loaded, otherwise from the orbit table's ground tracks
+function getTileAcquisitions(feature, weeks) {
+    const centroid = getGeometryCentroid(feature.geometry);
+    if (!orbitTable || !centroid) return [];
+
+    // Widen the swath by about half a tile so orbits that only clip the tile are kept
+    const orbits = orbitSwaths.length > 0 ?
+        findOrbitsForTile(feature).map(result => result.orbit) :
+        findOrbitsOverPoint(orbitTable, centroid.lat, centroid.lng, 55);
+
+    const start = Date.now();
+    return predictAcquisitions(orbitTable, orbits, centroid.lat, start, start + weeks * 7 * DAY_MS);
+}
+
+// Build the predicted acquisitions section of the tile info panel
+function renderTileAcquisitions() {
+    if (!orbitTable) {
+        return '<h4 class="info-heading">Predicted acquisitions</h4><p class="panel-summary">The orbit table is not available</p>';
+    }
+
+    return `
+        <h4 class="info-heading">Predicted acquisitions</h4>
+        <label class="panel-field">
+            Weeks ahead
+            <input type="number" id="acquisition-weeks" min="1" max="52" value="${CONFIG.acquisitionWeeks}">
+        </label>
+        <p id="acquisition-summary" class="panel-summary"></p>
+        <div id="acquisition-list" class="tile-list"></div>
+        <div class="panel-actions">
+            <button id="acquisition-export" type="button">Export iCal</button>
+        </div>
+    `;
+}
+
+// Fill in the acquisition list and wire up its controls for a tile
+function bindTileAcquisitionEvents(container, feature) {
+    const weeksInput = container.querySelector('#acquisition-weeks');
+    if (!weeksInput) return;
+
+    const getWeeks = () => Math.max(1, Math.min(52, parseInt(weeksInput.value, 10) || CONFIG.acquisitionWeeks));
+
+    weeksInput.addEventListener('change', function () {
+        displayTileAcquisitions(feature, getWeeks());
+    });
+
+    container.querySelector('#acquisition-export').addEventListener('click', function () {
+        const name = getGridName(feature);
+        const acquisitions = getTileAcquisitions(feature, getWeeks());
+        downloadFile(acquisitionsToICalendar(acquisitions, name), `sentinel-2_${name}_acquisitions.ics`, 'text/calendar');
+    });
+
+    displayTileAcquisitions(feature, getWeeks());
+}
+
+// List the predicted acquisitions of a tile, one row per overpass
+function displayTileAcquisitions(feature, weeks) {
+    const summary = document.getElementById('acquisition-summary');
+    const list = document.getElementById('acquisition-list');
+    const acquisitions = getTileAcquisitions(feature, weeks);
+
+    if (acquisitions.length === 0) {
+        summary.textContent = `No overpasses predicted in the next ${weeks} week${weeks !== 1 ? 's' : ''}`;
+        list.innerHTML = '';
+        return;
+    }
+
+    summary.textContent = `${acquisitions.length} overpasses in the next ${weeks} week${weeks !== 1 ? 's' : ''} (times in UTC, to within a few minutes)`;
+
+    list.innerHTML = acquisitions.map(acquisition => `
+        <div class="tile-list-item" title="${escapeHtml(acquisition.satellite.name)}, relative orbit ${acquisition.orbit}">
+            <span class="tile-list-name">${formatAcquisitionTime(acquisition.time)}</span>
+            <span class="tile-list-value">${escapeHtml(acquisition.satellite.id)} ${formatOrbitNumber(acquisition.orbit)}</span>
+        </div>
+    `).join('');
+}
+
+// Format an overpass time as e.g. "Wed 5 Mar 10:56"
+function formatAcquisitionTime(time) {
+    const date = new Date(time);
+    const day = date.toLocaleDateString('en-AU', { weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC' });
+    return `${day} ${date.toISOString().slice(11, 16)}`;
+}
@@ -0,0 +1,296 @@
+// Area of interest (AOI) tool: draw or upload an area and list intersecting tiles
+
+let aoiLayer = null; // Layer showing the current AOI
+let aoiResultLayer = null; // Layer highlighting tiles that intersect the AOI
+let aoiResults = []; // Tiles intersecting the AOI, sorted by coverage
+let aoiDrawing = false; // Whether an AOI is being drawn, so map clicks are not tile clicks
+
+// Setup drawing tools, file upload and drag-and-drop for the AOI
+function setupAoiTool() {
+    const drawControl = new L.Control.Draw({
+        position: 'topleft',
+        draw: {
+            polygon: {
+                allowIntersection: false,
+                shapeOptions: getAoiStyle()
+            },
+            rectangle: {
+                shapeOptions: getAoiStyle()
+            },
+            polyline: false,
+            circle: false,
+            circlemarker: false,
+            marker: false
+        },
+        edit: false
+    });
+    map.addControl(drawControl);
+
+    map.on(L.Draw.Event.DRAWSTART, function () {
+        aoiDrawing = true;
+    });
+    map.on(L.Draw.Event.DRAWSTOP, function () {
+        aoiDrawing = false;
+    });
+
+    map.on(L.Draw.Event.CREATED, function (e) {
+        setAoi(e.layer.toGeoJSON(), 'Drawn area');
+    });
+
+    // Upload button below the drawing tools
+    const uploadControl = L.control({ position: 'topleft' });
+    uploadControl.onAdd = function () {
+        const container = L.DomUtil.create('div', 'leaflet-bar aoi-upload-control');
+        container.innerHTML = `
+            <a href="#" title="Upload AOI (GeoJSON, KML or zipped shapefile)" role="button">&#8682;</a>
+            <input type="file" accept=".geojson,.json,.kml,.zip" hidden>
+        `;
+
+        const button = container.querySelector('a');
+        const input = container.querySelector('input');
+
+        L.DomEvent.disableClickPropagation(container);
+        L.DomEvent.on(button, 'click', function (e) {
+            L.DomEvent.preventDefault(e);
+            input.click();
+        });
+
+        input.addEventListener('change', function () {
+            if (input.files.length > 0) {
+                loadAoiFile(input.files[0]);
+            }
+            input.value = '';
+        });
+
+        return container;
+    };
+    uploadControl.addTo(map);
+
+    // Accept files dropped onto the map
+    const mapContainer = map.getContainer();
+    mapContainer.addEventListener('dragover', function (e) {
+        e.preventDefault();
+        mapContainer.classList.add('drag-over');
+    });
+    mapContainer.addEventListener('dragleave', function () {
+        mapContainer.classList.remove('drag-over');
+    });
+    mapContainer.addEventListener('drop', function (e) {
+        e.preventDefault();
+        mapContainer.classList.remove('drag-over');
+        if (e.dataTransfer.files.length > 0) {
+            loadAoiFile(e.dataTransfer.files[0]);
+        }
+    });
+
+    document.getElementById('aoi-clear').addEventListener('click', clearAoi);
+}
+
+// Get the display style for the AOI outline
+function getAoiStyle() {
+    return {
+        color: '#00e5ff',
+        weight: 3,
+        opacity: 1,
+        dashArray: '6 4',
+        fillOpacity: 0.05,
+        fillColor: '#00e5ff'
+    };
+}
+
+// Read an AOI file and apply it
+async function loadAoiFile(file) {
+    try {
+        const geojson = await readAoiFile(file);
+        setAoi(geojson, file.name);
+    } catch (error) {
+        console.error('Error reading AOI file:', error);
+        showAoiMessage(`Could not read ${escapeHtml(file.name)}: ${escapeHtml(error.message)}`);
+    }
+}
+
+// Parse a GeoJSON, KML or zipped shapefile into GeoJSON
+async function readAoiFile(file) {
+    const name = file.name.toLowerCase();
+
+    if (name.endsWith('.zip')) {
+        if (typeof shp === 'undefined') {
+            throw new Error('Shapefile support is not available');
+        }
+        return shp.parseZip(await file.arrayBuffer());
+    }
+
+    const text = await file.text();
+
+    if (name.endsWith('.kml')) {
+        return parseKml(text);
+    }
+
+    return JSON.parse(text);
+}
+
+// Extract polygons from a KML document
+function parseKml(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('Invalid KML file');
+    }
+
+    const parseCoordinates = element => {
+        const coordinates = element?.getElementsByTagName('coordinates')[0];
+        if (!coordinates) return null;
+
+        return coordinates.textContent.trim().split(/\s+/)
+            .map(tuple => tuple.split(',').map(Number))
+            .filter(coord => coord.length >= 2 && !isNaN(coord[0]) && !isNaN(coord[1]))
+            .map(coord => [coord[0], coord[1]]);
+    };
+
+    const polygons = Array.from(doc.getElementsByTagName('Polygon')).map(polygon => {
+        const outer = parseCoordinates(polygon.getElementsByTagName('outerBoundaryIs')[0]);
+        const holes = Array.from(polygon.getElementsByTagName('innerBoundaryIs'))
+            .map(parseCoordinates)
+            .filter(ring => ring && ring.length >= 4);
+        return outer && outer.length >= 4 ? [outer, ...holes] : null;
+    }).filter(polygon => polygon !== null);
+
+    return {
+        type: 'Feature',
+        properties: {},
+        geometry: { type: 'MultiPolygon', coordinates: polygons }
+    };
+}
+
+// Collect all polygons from any GeoJSON object (or array of them)
+function extractAoiPolygons(geojson) {
+    if (!geojson) return [];
+
+    if (Array.isArray(geojson)) {
+        return geojson.flatMap(extractAoiPolygons);
+    }
+
+    switch (geojson.type) {
+        case 'FeatureCollection':
+            return geojson.features.flatMap(extractAoiPolygons);
+        case 'Feature':
+            return extractAoiPolygons(geojson.geometry);
+        case 'GeometryCollection':
+            return geojson.geometries.flatMap(extractAoiPolygons);
+        case 'Polygon':
+        case 'MultiPolygon':
+            return getGeometryPolygons(geojson);
+        default:
+            return [];
+    }
+}
+
+// Move polygons drawn on a wrapped copy of the world back into -180..180
+function normaliseAoiPolygons(polygons) {
+    const bbox = mergeBBoxes(polygons.map(polygon => getRingBBox(polygon[0])));
+    const lngOffset = getWorldOffset(bbox);
+
+    return polygons.map(polygon => polygon.map(ring => offsetRing(ring, lngOffset)));
+}
+
+// Set a new AOI and find the tiles that intersect it
+async function setAoi(geojson, sourceName) {
+    const polygons = extractAoiPolygons(geojson)
+        .filter(polygon => polygon[0] && polygon[0].length >= 4);
+
+    if (polygons.length === 0) {
+        showAoiMessage(`No polygons found in ${escapeHtml(sourceName)}`);
+        return;
+    }
+
+    clearAoi();
+
+    const aoiPolygons = normaliseAoiPolygons(polygons);
+    const aoiGeometry = { type: 'MultiPolygon', coordinates: aoiPolygons };
+
+    aoiLayer = L.geoJSON(aoiGeometry, {
+        style: getAoiStyle(),
+        interactive: false
+    }).addTo(map);
+
+    map.fitBounds(aoiLayer.getBounds(), { padding: [20, 20] });
+
+    if (gridCount === 0) {
+        showAoiMessage('Grid data is still loading, please try again shortly');
+        return;
+    }
+
+    const layer = aoiLayer;
+    const results = await intersectGrids(aoiPolygons);
+
+    // The AOI was replaced or cleared while the worker was busy
+    if (aoiLayer !== layer) return;
+
+    aoiResults = results;
+    console.log(`Found ${aoiResults.length} grids intersecting AOI from ${sourceName}`);
+
+    if (aoiResults.length > 0) {
+        aoiResultLayer = L.geoJSON(aoiResults.map(result => result.feature), {
+            style: {
+                color: '#ff9800',
+                weight: 3,
+                opacity: 1,
+                fillOpacity: 0.2,
+                fillColor: '#ff9800'
+            },
+            interactive: false
+        }).addTo(map);
+
+        aoiLayer.bringToFront();
+    }
+
+    displayAoiResults(aoiResults, sourceName);
+}
+
+// Display AOI results in the side panel
+function displayAoiResults(results, sourceName) {
+    const summary = document.getElementById('aoi-summary');
+    const list = document.getElementById('aoi-results');
+
+    summary.innerHTML = `${results.length} tile${results.length === 1 ? '' : 's'} intersect ${escapeHtml(sourceName)}`;
+
+    list.innerHTML = results.map(result => `
+        <div class="tile-list-item" data-name="${result.name}" title="Share of the AOI inside this tile">
+            <span class="tile-list-name">${result.name}</span>
+            <span class="tile-list-value">${(result.coverage * 100).toFixed(1)}% of AOI</span>
+        </div>
+    `).join('');
+
+    list.querySelectorAll('.tile-list-item').forEach(element => {
+        element.addEventListener('click', function () {
+            const result = aoiResults.find(item => item.name === this.dataset.name);
+            if (result) {
+                map.fitBounds(L.geoJSON(result.feature).getBounds());
+                highlightGrid(result.feature);
+            }
+        });
+    });
+
+    showPanel('aoi-panel');
+}
+
+// Show a message in the AOI panel instead of results
+function showAoiMessage(message) {
+    document.getElementById('aoi-summary').innerHTML = message;
+    document.getElementById('aoi-results').innerHTML = '';
+    showPanel('aoi-panel');
+}
+
+// Remove the AOI and its results from the map
+function clearAoi() {
+    if (aoiLayer) {
+        map.removeLayer(aoiLayer);
+        aoiLayer = null;
+    }
+    if (aoiResultLayer) {
+        map.removeLayer(aoiResultLayer);
+        aoiResultLayer = null;
+    }
+    aoiResults = [];
+    document.getElementById('aoi-summary').innerHTML = 'Draw an area or drop a GeoJSON, KML or zipped shapefile onto the map';
+    document.getElementById('aoi-results').innerHTML = '';
+}
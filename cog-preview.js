@@ -0,0 +1,276 @@
+// True-colour preview of a tile from a Cloud-Optimised GeoTIFF
+// geotiff.js reads only the byte ranges it needs, so any static file server with range requests will do;
+// servers without them are refused rather than downloading the whole image
+
+const COG_PREVIEW_SIZE = 1024; // Longest side of the preview image in pixels
+const COG_GRID_STEP = 16; // Output pixels between exactly projected points; the rest are interpolated
+
+let cogPreviewLayer = null; // Image overlay showing the current preview
+let cogPreviewRequest = 0; // Latest preview, so stale reads are dropped
+
+// Render a COG as an image overlay clipped to a tile's footprint
+// Resolves to false if another preview was started first
+async function showCogPreview(url, feature) {
+    const requestId = ++cogPreviewRequest;
+
+    await checkRangeRequests(url);
+
+    const tiff = await GeoTIFF.fromUrl(url);
+    const image = await tiff.getImage();
+    const projection = getCogProjection(image);
+
+    const rings = getCogClipRings(feature);
+    const [minLng, minLat, maxLng, maxLat] = mergeBBoxes(rings.map(getRingBBox));
+
+    // Read the part of the image under the tile at about the preview size, from the nearest overview
+    const sourceBBox = getCogReadBBox(image.getBoundingBox(), rings, projection);
+    if (!sourceBBox) {
+        throw new Error('The image does not cover this tile');
+    }
+
+    const aspect = (sourceBBox[2] - sourceBBox[0]) / (sourceBBox[3] - sourceBBox[1]);
+    const readWidth = Math.round(aspect >= 1 ? COG_PREVIEW_SIZE : COG_PREVIEW_SIZE * aspect);
+    const readHeight = Math.round(aspect >= 1 ? COG_PREVIEW_SIZE / aspect : COG_PREVIEW_SIZE);
+    const samples = image.getSamplesPerPixel() >= 3 ? [0, 1, 2] : [0];
+
+    const rasters = await tiff.readRasters({
+        bbox: sourceBBox,
+        width: readWidth,
+        height: readHeight,
+        samples
+    });
+
+    // The tile was changed while the image was being read
+    if (requestId !== cogPreviewRequest) return false;
+
+    const source = {
+        bands: toDisplayBands(rasters),
+        width: readWidth,
+        height: readHeight,
+        bbox: sourceBBox,
+        project: projection
+    };
+
+    const bounds = L.latLngBounds([minLat, minLng], [maxLat, maxLng]);
+    const canvas = reprojectCogToMercator(source, bounds, rings);
+
+    if (cogPreviewLayer) {
+        map.removeLayer(cogPreviewLayer);
+    }
+    cogPreviewLayer = L.imageOverlay(canvas.toDataURL('image/png'), bounds, {
+        opacity: 1,
+        interactive: false
+    }).addTo(map);
+
+    return true;
+}
+
+// Remove the preview from the map
+function clearCogPreview() {
+    cogPreviewRequest++;
+
+    if (cogPreviewLayer) {
+        map.removeLayer(cogPreviewLayer);
+        cogPreviewLayer = null;
+    }
+}
+
+// Check that the server answers range requests, since without them the whole image would be downloaded
+async function checkRangeRequests(url) {
+    const controller = new AbortController();
+    const response = await fetch(url, { headers: { Range: 'bytes=0-0' }, signal: controller.signal });
+
+    // Stop any full download the server started
+    controller.abort();
+
+    if (response.status !== 206) {
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        throw new Error('The server does not support HTTP range requests, which are needed to read only part of the image');
+    }
+}
+
+// Get the outer ring of every part of a tile, with parts split at the antimeridian placed side by side
+function getCogClipRings(feature) {
+    const rings = getGeometryPolygons(feature.geometry).map(polygon => unwrapRing(polygon[0]));
+    const referenceBBox = getRingBBox(rings[0]);
+    const referenceLng = (referenceBBox[0] + referenceBBox[2]) / 2;
+
+    return rings.map(ring => {
+        const bbox = getRingBBox(ring);
+        const centreLng = (bbox[0] + bbox[2]) / 2;
+        return offsetRing(ring, wrapLngNear(centreLng, referenceLng) - centreLng);
+    });
+}
+
+// Work out how to project WGS84 locations into the image's coordinates
+// Sentinel-2 COGs are in UTM (EPSG:326xx north, 327xx south); plain lat/lon images are also accepted
+function getCogProjection(image) {
+    const keys = image.getGeoKeys() || {};
+    const epsg = keys.ProjectedCSTypeGeoKey || keys.GeographicTypeGeoKey;
+
+    if (epsg === 4326) {
+        return (lat, lng) => [lng, lat];
+    }
+
+    const zone = epsg % 100;
+    if ((Math.floor(epsg / 100) === 326 || Math.floor(epsg / 100) === 327) && zone >= 1 && zone <= 60) {
+        const hemisphere = Math.floor(epsg / 100) === 326 ? 'N' : 'S';
+        return (lat, lng) => {
+            const { easting, northing } = latLngToUtm(lat, lng, zone, hemisphere);
+            return [easting, northing];
+        };
+    }
+
+    throw new Error(`Unsupported image projection${epsg ? ` EPSG:${epsg}` : ''}; expected UTM or WGS84`);
+}
+
+// Get the part of the image bounding box under a tile's rings, in image coordinates, or null if they miss
+function getCogReadBBox(imageBBox, rings, project) {
+    const tileBBox = getRingBBox(rings.flatMap(ring => openRing(ring)).map(([lng, lat]) => project(lat, lng)));
+
+    const bbox = [
+        Math.max(imageBBox[0], tileBBox[0]),
+        Math.max(imageBBox[1], tileBBox[1]),
+        Math.min(imageBBox[2], tileBBox[2]),
+        Math.min(imageBBox[3], tileBBox[3])
+    ];
+
+    return bbox[0] < bbox[2] && bbox[1] < bbox[3] ? bbox : null;
+}
+
+// Scale bands to 0-255 for display
+// 8-bit true-colour images are used as they are; anything else is stretched to its 98th percentile
+function toDisplayBands(rasters) {
+    const bands = Array.from(rasters);
+    if (bands[0] instanceof Uint8Array) return bands;
+
+    return bands.map(band => {
+        const sample = [];
+        for (let i = 0; i < band.length; i += Math.max(1, Math.floor(band.length / 10000))) {
+            if (band[i] > 0) sample.push(band[i]);
+        }
+        sample.sort((a, b) => a - b);
+
+        const high = sample.length > 0 ? sample[Math.floor(sample.length * 0.98)] : 1;
+        const scaled = new Uint8ClampedArray(band.length);
+        for (let i = 0; i < band.length; i++) {
+            scaled[i] = band[i] / high * 255;
+        }
+        return scaled;
+    });
+}
+
+// Resample the image onto a canvas whose rows are evenly spaced in Web Mercator, as L.imageOverlay expects,
+// leaving everything outside the tile's rings transparent
+function reprojectCogToMercator(source, bounds, rings) {
+    const west = bounds.getWest();
+    const east = bounds.getEast();
+    const northY = mercatorY(bounds.getNorth());
+    const southY = mercatorY(bounds.getSouth());
+
+    // Keep about the source resolution along the longer side
+    const aspect = (east - west) * Math.PI / 180 / (northY - southY);
+    const width = Math.max(1, Math.round(aspect >= 1 ? COG_PREVIEW_SIZE : COG_PREVIEW_SIZE * aspect));
+    const height = Math.max(1, Math.round(aspect >= 1 ? COG_PREVIEW_SIZE / aspect : COG_PREVIEW_SIZE));
+
+    // Source pixel positions on a coarse grid of exactly projected points
+    const gridColumns = Math.ceil(width / COG_GRID_STEP) + 1;
+    const gridRows = Math.ceil(height / COG_GRID_STEP) + 1;
+    const gridX = new Float64Array(gridColumns * gridRows);
+    const gridY = new Float64Array(gridColumns * gridRows);
+    const [minX, minY, maxX, maxY] = source.bbox;
+    const scaleX = source.width / (maxX - minX);
+    const scaleY = source.height / (maxY - minY);
+
+    for (let row = 0; row < gridRows; row++) {
+        const lat = mercatorLatitude(northY - (northY - southY) * Math.min(row * COG_GRID_STEP, height) / height);
+        for (let column = 0; column < gridColumns; column++) {
+            const lng = west + (east - west) * Math.min(column * COG_GRID_STEP, width) / width;
+            const [x, y] = source.project(lat, lng);
+            gridX[row * gridColumns + column] = (x - minX) * scaleX;
+            gridY[row * gridColumns + column] = (maxY - y) * scaleY;
+        }
+    }
+
+    const output = new ImageData(width, height);
+    const pixels = output.data;
+    const [red, green, blue] = source.bands.length >= 3 ? source.bands : [source.bands[0], source.bands[0], source.bands[0]];
+
+    for (let y = 0; y < height; y++) {
+        const row = Math.floor(y / COG_GRID_STEP);
+        const rowWeight = (y - row * COG_GRID_STEP) / Math.min(COG_GRID_STEP, height - row * COG_GRID_STEP);
+
+        for (let x = 0; x < width; x++) {
+            const column = Math.floor(x / COG_GRID_STEP);
+            const columnWeight = (x - column * COG_GRID_STEP) / Math.min(COG_GRID_STEP, width - column * COG_GRID_STEP);
+            const index = row * gridColumns + column;
+
+            const sourceX = Math.floor(interpolateGrid(gridX, index, gridColumns, columnWeight, rowWeight));
+            const sourceY = Math.floor(interpolateGrid(gridY, index, gridColumns, columnWeight, rowWeight));
+
+            if (sourceX < 0 || sourceY < 0 || sourceX >= source.width || sourceY >= source.height) continue;
+
+            const sourceIndex = sourceY * source.width + sourceX;
+            const r = red[sourceIndex];
+            const g = green[sourceIndex];
+            const b = blue[sourceIndex];
+
+            // Black is no-data in Sentinel-2 true-colour images
+            if (r === 0 && g === 0 && b === 0) continue;
+
+            const pixel = (y * width + x) * 4;
+            pixels[pixel] = r;
+            pixels[pixel + 1] = g;
+            pixels[pixel + 2] = b;
+            pixels[pixel + 3] = 255;
+        }
+    }
+
+    // Clip to the tile footprint by drawing through a path of its outlines
+    const resampled = document.createElement('canvas');
+    resampled.width = width;
+    resampled.height = height;
+    resampled.getContext('2d').putImageData(output, 0, 0);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+
+    context.beginPath();
+    rings.forEach(ring => {
+        openRing(ring).forEach(([lng, lat], index) => {
+            const x = (lng - west) / (east - west) * width;
+            const y = (northY - mercatorY(lat)) / (northY - southY) * height;
+            if (index === 0) {
+                context.moveTo(x, y);
+            } else {
+                context.lineTo(x, y);
+            }
+        });
+        context.closePath();
+    });
+    context.clip();
+    context.drawImage(resampled, 0, 0);
+
+    return canvas;
+}
+
+// Bilinear interpolation between a grid point and its neighbours to the right and below
+function interpolateGrid(grid, index, columns, columnWeight, rowWeight) {
+    const top = grid[index] + (grid[index + 1] - grid[index]) * columnWeight;
+    const bottom = grid[index + columns] + (grid[index + columns + 1] - grid[index + columns]) * columnWeight;
+    return top + (bottom - top) * rowWeight;
+}
+
+// Web Mercator y (in radians) of a latitude
+function mercatorY(lat) {
+    return Math.log(Math.tan(Math.PI / 4 + toRadians(lat) / 2));
+}
+
+// Latitude of a Web Mercator y (in radians)
+function mercatorLatitude(y) {
+    return toDegrees(2 * Math.atan(Math.exp(y)) - Math.PI / 2);
+}
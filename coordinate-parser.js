@@ -0,0 +1,218 @@
+// Parse coordinates typed into the search box: lat/lon, UTM and MGRS
+// Kept free of Leaflet and DOM references so it can be reused anywhere
+
+// MGRS 100 km column letters repeat every three zones; row letters every two
+const MGRS_COLUMN_LETTERS = ['ABCDEFGH', 'JKLMNPQR', 'STUVWXYZ'];
+const MGRS_ROW_LETTERS = 'ABCDEFGHJKLMNPQRSTUV';
+
+const COORDINATE_EXAMPLES = 'Try -31.95, 115.86 or 50H 391000 6464000 or 50HMK1234567890';
+
+// Parse a coordinate string
+// Returns { type, lat, lng, label } on success, { error } if it looks like a coordinate
+// but is invalid, or null if it does not look like a coordinate at all (e.g. a tile name)
+function parseCoordinates(text) {
+    const input = String(text).trim().toUpperCase().replace(/\s+/g, ' ');
+    if (input.length === 0) return null;
+
+    return parseMgrsCoordinates(input) ||
+        parseUtmCoordinates(input) ||
+        parseLatLngCoordinates(input) ||
+        (looksLikeCoordinates(input) ? { error: `Not a recognised coordinate format. ${COORDINATE_EXAMPLES}` } : null);
+}
+
+// Whether unparsed text still looks like an attempt at coordinates rather than a tile name
+function looksLikeCoordinates(input) {
+    const numericTokens = input.split(/[ ,;]+/).filter(token => /\d/.test(token));
+    return numericTokens.length >= 2 || /^[-+]?\d*\.\d/.test(input) || /^[-+]\d/.test(input) || /[°'"′″]/.test(input);
+}
+
+// Parse an MGRS reference such as "50HMK1234567890" or "50H MK 12345 67890"
+// A bare tile ID like "50HMK" is left to the tile name search
+function parseMgrsCoordinates(input) {
+    const match = /^(\d{1,2}) ?([A-Z]) ?([A-Z])([A-Z]) ?(\d+)(?: (\d+))?$/.exec(input);
+    if (!match) return null;
+
+    const zone = parseInt(match[1], 10);
+    const [band, columnLetter, rowLetter] = [match[2], match[3], match[4]];
+
+    // Digits are either one run split in half, or two space-separated runs of equal length
+    let eastingDigits, northingDigits;
+    if (match[6] !== undefined) {
+        [eastingDigits, northingDigits] = [match[5], match[6]];
+    } else if (match[5].length % 2 === 0) {
+        const half = match[5].length / 2;
+        [eastingDigits, northingDigits] = [match[5].slice(0, half), match[5].slice(half)];
+    }
+
+    if (!eastingDigits || eastingDigits.length !== northingDigits.length) {
+        return { error: 'An MGRS reference needs the same number of easting and northing digits' };
+    }
+    if (eastingDigits.length < 1 || eastingDigits.length > 5) {
+        return { error: 'An MGRS reference needs 1 to 5 easting and northing digits each' };
+    }
+
+    const zoneError = validateUtmZone(zone, band);
+    if (zoneError) return { error: zoneError };
+
+    const columnIndex = MGRS_COLUMN_LETTERS[(zone - 1) % 3].indexOf(columnLetter);
+    if (columnIndex < 0) {
+        return { error: `Column letter ${columnLetter} is not used in zone ${zone}` };
+    }
+
+    // Even zones start their row letters at F
+    const rowIndex = MGRS_ROW_LETTERS.indexOf(rowLetter);
+    if (rowIndex < 0) {
+        return { error: `Row letter ${rowLetter} is not a valid MGRS row` };
+    }
+    const rowOffset = zone % 2 === 0 ? 5 : 0;
+
+    // Point at the centre of the referenced square
+    const precision = eastingDigits.length;
+    const cellSize = Math.pow(10, 5 - precision);
+    const easting = (columnIndex + 1) * 100000 + parseInt(eastingDigits, 10) * cellSize + cellSize / 2;
+    let northing = ((rowIndex - rowOffset + 20) % 20) * 100000 + parseInt(northingDigits, 10) * cellSize + cellSize / 2;
+
+    // Row letters repeat every 2000 km, so move up to the cycle that reaches the latitude band
+    const hemisphere = band >= 'N' ? 'N' : 'S';
+    const [bandSouth] = getLatitudeBandRange(band);
+    const bandMinNorthing = latLngToUtm(bandSouth, getUtmCentralMeridian(zone), zone, hemisphere).northing;
+    const minNorthing = Math.floor(bandMinNorthing / 100000) * 100000;
+    while (northing < minNorthing) {
+        northing += 2000000;
+    }
+
+    const { lat, lng } = utmToLatLng(zone, hemisphere, easting, northing);
+
+    return {
+        type: 'mgrs',
+        lat,
+        lng,
+        label: `MGRS ${zone}${band} ${columnLetter}${rowLetter} ${eastingDigits} ${northingDigits}`
+    };
+}
+
+// Parse UTM coordinates such as "50H 391000 6464000" or "50J 391000mE 6464000mN"
+// The letter is a latitude band; N or S are also accepted as a hemisphere when the band does not fit
+function parseUtmCoordinates(input) {
+    const match = /^(\d{1,2}) ?([A-Z])[ ,]+(\d+(?:\.\d+)?) ?M?E?[ ,]+(\d+(?:\.\d+)?) ?M?N?$/.exec(input);
+    if (!match) return null;
+
+    const zone = parseInt(match[1], 10);
+    const letter = match[2];
+    const easting = parseFloat(match[3]);
+    const northing = parseFloat(match[4]);
+
+    const zoneError = validateUtmZone(zone, letter);
+    if (zoneError) return { error: zoneError };
+
+    if (easting < 100000 || easting > 900000) {
+        return { error: `Easting ${match[3]} is outside the UTM range of 100000 to 900000 m` };
+    }
+    if (northing < 0 || northing > 10000000) {
+        return { error: `Northing ${match[4]} is outside the UTM range of 0 to 10000000 m` };
+    }
+
+    const label = `UTM ${zone}${letter} ${Math.round(easting)} E ${Math.round(northing)} N`;
+    const bandHemisphere = letter >= 'N' ? 'N' : 'S';
+    const location = utmToLatLng(zone, bandHemisphere, easting, northing);
+
+    // Allow a degree of slack, since points near a band edge are often labelled with the neighbouring band
+    const [bandSouth, bandNorth] = getLatitudeBandRange(letter);
+    if (location.lat >= bandSouth - 1 && location.lat <= bandNorth + 1) {
+        return { type: 'utm', ...location, label };
+    }
+
+    // "50S" is also commonly written for zone 50 in the southern hemisphere
+    if (letter === 'N' || letter === 'S') {
+        const hemisphereName = letter === 'N' ? 'north' : 'south';
+        return {
+            type: 'utm',
+            ...utmToLatLng(zone, letter, easting, northing),
+            label: `UTM ${zone} ${hemisphereName} ${Math.round(easting)} E ${Math.round(northing)} N`
+        };
+    }
+
+    return { error: `Northing ${match[4]} does not fall in latitude band ${letter}` };
+}
+
+// Check a UTM zone number and latitude band letter, returning an error message if invalid
+function validateUtmZone(zone, band) {
+    if (zone < 1 || zone > 60) {
+        return `UTM zone ${zone} is outside the range 1 to 60`;
+    }
+    if (!getLatitudeBandRange(band)) {
+        return `${band} is not a valid latitude band (C to X, without I and O)`;
+    }
+    return null;
+}
+
+// Parse latitude and longitude such as "-31.95, 115.86", "31.95S 115.86E" or "31°57'S, 115°52'E"
+function parseLatLngCoordinates(input) {
+    // Keep hemisphere letters and minute/second marks attached to their numbers
+    const compact = input
+        .replace(/([\d°'"′″]) ([NSEW])(?![A-Z])/g, '$1$2')
+        .replace(/(^|[ ,;])([NSEW]) (?=[-+\d])/g, '$1$2')
+        .replace(/([°'′]) (?=\d)/g, '$1');
+
+    const parts = /[,;]/.test(compact) ?
+        compact.split(/ ?[,;] ?/) :
+        compact.split(' ');
+
+    if (parts.length !== 2) return null;
+
+    const first = parseAngle(parts[0]);
+    const second = parseAngle(parts[1]);
+    if (!first || !second) return null;
+
+    // Longitude first is only allowed when the hemisphere letters say so
+    let latitude = first;
+    let longitude = second;
+    if (first.axis === 'lng' || second.axis === 'lat') {
+        [latitude, longitude] = [second, first];
+    }
+
+    if (latitude.axis === 'lng' || longitude.axis === 'lat') {
+        return { error: 'Give one latitude (N/S) and one longitude (E/W)' };
+    }
+    if (latitude.error || longitude.error) {
+        return { error: latitude.error || longitude.error };
+    }
+    if (Math.abs(latitude.value) > 90) {
+        return { error: `Latitude ${latitude.value} is outside the range -90 to 90` };
+    }
+    if (Math.abs(longitude.value) > 180) {
+        return { error: `Longitude ${longitude.value} is outside the range -180 to 180` };
+    }
+
+    return {
+        type: 'latlng',
+        lat: latitude.value,
+        lng: longitude.value,
+        label: `Lat/lon ${latitude.value.toFixed(5)}, ${longitude.value.toFixed(5)}`
+    };
+}
+
+// Parse one angle in decimal degrees or degrees, minutes and seconds, with an optional hemisphere letter
+// Returns { value, axis } where axis is 'lat', 'lng' or null when no letter was given
+function parseAngle(text) {
+    const match = /^([NSEW])?([-+])?(\d+(?:\.\d+)?)(?:°(?:(\d+(?:\.\d+)?)['′])?(?:(\d+(?:\.\d+)?)["″])?)?([NSEW])?$/.exec(text);
+    if (!match || (match[1] && match[6])) return null;
+
+    const hemisphere = match[1] || match[6] || null;
+    const degrees = parseFloat(match[3]);
+    const minutes = match[4] ? parseFloat(match[4]) : 0;
+    const seconds = match[5] ? parseFloat(match[5]) : 0;
+
+    if (minutes >= 60 || seconds >= 60) {
+        return { error: 'Minutes and seconds must be less than 60' };
+    }
+
+    let value = degrees + minutes / 60 + seconds / 3600;
+    if (match[2] === '-') value = -value;
+    if (hemisphere === 'S' || hemisphere === 'W') value = -Math.abs(value);
+
+    return {
+        value,
+        axis: hemisphere === 'N' || hemisphere === 'S' ? 'lat' : hemisphere ? 'lng' : null
+    };
+}
@@ -0,0 +1,163 @@
+// Cross-reference tool: Sentinel-2 tiles to Landsat WRS-2 path/rows and back, as a table and CSV
+
+// Directions offered in the panel, as [from, to] grid system ids
+const CROSS_REFERENCE_DIRECTIONS = {
+    's2-to-wrs2': ['sentinel2', 'wrs2'],
+    'wrs2-to-s2': ['wrs2', 'sentinel2']
+};
+
+let crossReferenceResults = []; // Rows of the last cross-reference
+let crossReferenceDirection = null; // [from, to] of the last cross-reference
+
+// Setup the cross-reference control and panel
+function setupCrossReferenceTool() {
+    const crossReferenceControl = L.control({ position: 'topleft' });
+    crossReferenceControl.onAdd = function () {
+        const container = L.DomUtil.create('div', 'leaflet-bar cross-reference-control');
+        container.innerHTML = '<a href="#" title="Cross-reference Sentinel-2 tiles and Landsat path/rows" role="button">&#8644;</a>';
+
+        L.DomEvent.disableClickPropagation(container);
+        L.DomEvent.on(container.querySelector('a'), 'click', function (e) {
+            L.DomEvent.preventDefault(e);
+            openCrossReferencePanel();
+        });
+
+        return container;
+    };
+    crossReferenceControl.addTo(map);
+
+    document.getElementById('cross-reference-form').addEventListener('submit', function (e) {
+        e.preventDefault();
+        runCrossReference();
+    });
+
+    document.getElementById('cross-reference-csv').addEventListener('click', function () {
+        if (crossReferenceResults.length === 0) return;
+
+        const [from, to] = crossReferenceDirection;
+        downloadFile(crossReferenceToCsv(crossReferenceResults), `cross_reference_${from}_to_${to}.csv`, 'text/csv');
+    });
+}
+
+// Open the panel, starting from the selected tile or the working set if the box is empty
+function openCrossReferencePanel() {
+    const input = document.getElementById('cross-reference-input');
+
+    if (input.value.trim() === '') {
+        const names = workingSet.size > 0 ?
+            Array.from(workingSet.keys()) :
+            selectedGrid ? [getGridName(selectedGrid)] : [];
+
+        document.getElementById('cross-reference-direction').value = 's2-to-wrs2';
+        input.value = names.join(', ');
+    }
+
+    showPanel('cross-reference-panel');
+}
+
+// Cross-reference the IDs in the box in the chosen direction
+async function runCrossReference() {
+    const [from, to] = CROSS_REFERENCE_DIRECTIONS[document.getElementById('cross-reference-direction').value];
+    const fromSystem = getGridSystem(from);
+    const names = Array.from(new Set(
+        document.getElementById('cross-reference-input').value
+            .split(/[\s,;]+/)
+            .filter(text => text.length > 0)
+            .map(text => fromSystem.normaliseName(text))
+    ));
+
+    if (names.length === 0) {
+        setCrossReferenceStatus(`Enter one or more ${fromSystem.label}`);
+        return;
+    }
+
+    setCrossReferenceStatus('Cross-referencing...');
+
+    try {
+        // The other grids are only loaded when first needed
+        await Promise.all([from, to].map(loadCrossReferenceGrid));
+
+        const results = await crossReferenceGrids(names, from, to);
+        crossReferenceDirection = [from, to];
+        crossReferenceResults = results;
+        displayCrossReference(results, to);
+    } catch (error) {
+        console.warn('Cross-reference failed:', error);
+        setCrossReferenceStatus(`Cross-reference failed: ${error.message}`);
+    }
+}
+
+// Load a grid for cross-referencing, saying which data file is at fault if it cannot be loaded
+async function loadCrossReferenceGrid(systemId) {
+    const url = systemId === 'sentinel2' ? CONFIG.geojsonPath : CONFIG.gridSystemPaths[systemId];
+
+    try {
+        await loadGridSystem(systemId, url);
+    } catch (error) {
+        const fallback = url && getGridSystem(systemId).createFeatures ?
+            `; clear CONFIG.gridSystemPaths.${systemId} to use the grid built in code` : '';
+        throw new Error(`${getGridSystem(systemId).label} could not be loaded from ${url || 'code'} (${error.message})${fallback}`);
+    }
+}
+
+// Show the cross-reference as a table with one row per intersecting pair
+function displayCrossReference(results, to) {
+    const missing = results.filter(result => !result.found).map(result => result.name);
+    const pairCount = results.reduce((total, result) => total + result.matches.length, 0);
+
+    // The WRS-2 grid built in code follows the nominal orbit, so its overlaps are approximate
+    const nominalWrs2 = crossReferenceDirection.includes('wrs2') && !CONFIG.gridSystemPaths.wrs2;
+
+    setCrossReferenceStatus(
+        `${pairCount} intersecting ${getGridSystem(to).label}` +
+        (missing.length > 0 ? `. Not found: ${missing.join(', ')}` : '') +
+        (nominalWrs2 ? '. WRS-2 outlines follow the nominal orbit, so overlaps are approximate' : '')
+    );
+
+    const rows = results.filter(result => result.found).map(result => {
+        if (result.matches.length === 0) {
+            return `<tr><td>${escapeHtml(result.name)}</td><td colspan="3">None</td></tr>`;
+        }
+
+        return result.matches.map((match, index) => `
+            <tr>
+                <td>${index === 0 ? escapeHtml(result.name) : ''}</td>
+                <td>${escapeHtml(match.name)}</td>
+                <td>${(match.sourceOverlap * 100).toFixed(1)}%</td>
+                <td>${(match.targetOverlap * 100).toFixed(1)}%</td>
+            </tr>
+        `).join('');
+    }).join('');
+
+    document.getElementById('cross-reference-results').innerHTML = rows ? `
+        <table class="info-table">
+            <tr><th>From</th><th>To</th><th title="Share of the first grid covered by the second">Of from</th><th title="Share of the second grid covered by the first">Of to</th></tr>
+            ${rows}
+        </table>
+    ` : '';
+}
+
+// Build a CSV with one row per intersecting pair
+function crossReferenceToCsv(results) {
+    const [from, to] = crossReferenceDirection;
+    const header = `${from},${to},${from}_overlap_percent,${to}_overlap_percent`;
+
+    const rows = [];
+    results.forEach(result => {
+        result.matches.forEach(match => {
+            rows.push([
+                result.name,
+                match.name,
+                (match.sourceOverlap * 100).toFixed(2),
+                (match.targetOverlap * 100).toFixed(2)
+            ].join(','));
+        });
+    });
+
+    return [header, ...rows].join('\n') + '\n';
+}
+
+// Show a status message in the cross-reference panel
+function setCrossReferenceStatus(message) {
+    document.getElementById('cross-reference-status').textContent = message;
+}
@@ -0,0 +1,237 @@
+// Export tiles as GeoJSON, KML, CSV or WKT
+
+// Export sources offered in the panel
+const EXPORT_SOURCES = {
+    selected: 'Selected tile',
+    workingSet: 'Working set',
+    aoi: 'AOI results',
+    visible: 'Visible tiles'
+};
+
+// Setup the export control and panel
+function setupExportPanel() {
+    const exportControl = L.control({ position: 'topleft' });
+    exportControl.onAdd = function () {
+        const container = L.DomUtil.create('div', 'leaflet-bar export-control');
+        container.innerHTML = '<a href="#" title="Export tiles" role="button">&#8681;</a>';
+
+        L.DomEvent.disableClickPropagation(container);
+        L.DomEvent.on(container.querySelector('a'), 'click', function (e) {
+            L.DomEvent.preventDefault(e);
+            openExportPanel();
+        });
+
+        return container;
+    };
+    exportControl.addTo(map);
+
+    document.querySelectorAll('#export-panel [data-format]').forEach(button => {
+        button.addEventListener('click', function () {
+            exportTiles(document.getElementById('export-source').value, this.dataset.format);
+        });
+    });
+}
+
+// Open the export panel with up-to-date counts for each source
+async function openExportPanel() {
+    const select = document.getElementById('export-source');
+    const current = select.value;
+
+    const counts = await Promise.all(Object.keys(EXPORT_SOURCES).map(key =>
+        getExportCount(key).catch(error => {
+            console.warn(`Failed to count ${EXPORT_SOURCES[key].toLowerCase()}:`, error);
+            return 0;
+        })
+    ));
+    select.innerHTML = Object.entries(EXPORT_SOURCES).map(([key, label], index) =>
+        `<option value="${key}">${label} (${counts[index]})</option>`
+    ).join('');
+
+    if (current && EXPORT_SOURCES[current]) {
+        select.value = current;
+    }
+
+    setExportStatus('');
+    showPanel('export-panel');
+}
+
+// Count the tiles in an export source
+// Visible tiles are only counted by the worker, so opening the panel does not fetch their features
+async function getExportCount(source) {
+    if (source === 'visible') {
+        return gridCount === 0 ? 0 : countVisibleGrids(map.getBounds());
+    }
+
+    return (await getExportFeatures(source)).length;
+}
+
+// Get the features for an export source
+// Visible tiles are asked of the worker when needed, since the map itself never holds their features
+async function getExportFeatures(source) {
+    switch (source) {
+        case 'selected':
+            return selectedGrid ? [selectedGrid] : [];
+        case 'workingSet':
+            return Array.from(workingSet.values());
+        case 'aoi':
+            return aoiResults.map(result => result.feature);
+        case 'visible':
+            if (gridCount === 0) return [];
+            return (await getVisibleGrids(map.getBounds())).map(grid => grid.feature);
+        default:
+            return [];
+    }
+}
+
+// Export the tiles from a source in the requested format
+async function exportTiles(source, format) {
+    let features;
+    try {
+        features = await getExportFeatures(source);
+    } catch (error) {
+        console.error('Error finding tiles to export:', error);
+        setExportStatus(`Could not find the ${EXPORT_SOURCES[source].toLowerCase()}`);
+        return;
+    }
+
+    if (features.length === 0) {
+        setExportStatus(`No tiles in ${EXPORT_SOURCES[source].toLowerCase()}`);
+        return;
+    }
+
+    const filename = `sentinel-2-tiles-${source}`;
+
+    switch (format) {
+        case 'geojson':
+            downloadFile(featuresToGeoJSON(features), `${filename}.geojson`, 'application/geo+json');
+            break;
+        case 'kml':
+            downloadFile(featuresToKml(features), `${filename}.kml`, 'application/vnd.google-earth.kml+xml');
+            break;
+        case 'csv':
+            downloadFile(featuresToCsv(features), `${filename}.csv`, 'text/csv');
+            break;
+        case 'wkt':
+            downloadFile(featuresToWkt(features), `${filename}.wkt`, 'text/plain');
+            break;
+        case 'ids':
+            await copyToClipboard(features.map(getGridName).join('\n'));
+            setExportStatus(`Copied ${features.length} tile ID${features.length === 1 ? '' : 's'} to clipboard`);
+            return;
+    }
+
+    setExportStatus(`Exported ${features.length} tile${features.length === 1 ? '' : 's'} as ${format.toUpperCase()}`);
+}
+
+// Build a GeoJSON FeatureCollection with just the tile name as a property
+function featuresToGeoJSON(features) {
+    return JSON.stringify({
+        type: 'FeatureCollection',
+        features: features.map(feature => ({
+            type: 'Feature',
+            properties: { name: getGridName(feature) },
+            geometry: feature.geometry
+        }))
+    });
+}
+
+// Build a KML document with one placemark per tile
+function featuresToKml(features) {
+    const ringToKml = ring => ring.map(coord => `${coord[0]},${coord[1]}`).join(' ');
+
+    const polygonToKml = polygon => `
+            <Polygon>
+                <outerBoundaryIs><LinearRing><coordinates>${ringToKml(polygon[0])}</coordinates></LinearRing></outerBoundaryIs>${polygon.slice(1).map(hole => `
+                <innerBoundaryIs><LinearRing><coordinates>${ringToKml(hole)}</coordinates></LinearRing></innerBoundaryIs>`).join('')}
+            </Polygon>`;
+
+    const placemarks = features.map(feature => `
+        <Placemark>
+            <name>${escapeHtml(getGridName(feature))}</name>
+            <MultiGeometry>${getGeometryPolygons(feature.geometry).map(polygonToKml).join('')}
+            </MultiGeometry>
+        </Placemark>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+    <Document>
+        <name>Sentinel-2 tiles</name>${placemarks}
+    </Document>
+</kml>
+`;
+}
+
+// Build a CSV with name, centroid, bounding box and UTM zone
+function featuresToCsv(features) {
+    const header = 'name,centroid_lat,centroid_lng,min_lng,min_lat,max_lng,max_lat,utm_zone';
+
+    const rows = features.map(feature => {
+        const name = getGridName(feature);
+        const centroid = getGeometryCentroid(feature.geometry);
+        const bbox = getGeometryBBox(feature.geometry);
+
+        return [
+            name,
+            centroid ? centroid.lat.toFixed(6) : '',
+            centroid ? centroid.lng.toFixed(6) : '',
+            ...(bbox ? bbox.map(value => value.toFixed(6)) : ['', '', '', '']),
+            getGridZone(name) || ''
+        ].join(',');
+    });
+
+    return [header, ...rows].join('\n') + '\n';
+}
+
+// Build one "name;WKT" line per tile
+function featuresToWkt(features) {
+    return features.map(feature => `${getGridName(feature)};${geometryToWkt(feature.geometry)}`).join('\n') + '\n';
+}
+
+// Convert a Polygon or MultiPolygon geometry to WKT
+function geometryToWkt(geometry) {
+    const ringToWkt = ring => `(${ring.map(coord => `${coord[0]} ${coord[1]}`).join(', ')})`;
+    const polygonToWkt = polygon => `(${polygon.map(ringToWkt).join(', ')})`;
+
+    if (geometry.type === 'Polygon') {
+        return `POLYGON ${polygonToWkt(geometry.coordinates)}`;
+    }
+
+    return `MULTIPOLYGON (${geometry.coordinates.map(polygonToWkt).join(', ')})`;
+}
+
+// Trigger a browser download of some text content
+function downloadFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Copy text to the clipboard, falling back to a hidden textarea
+async function copyToClipboard(text) {
+    if (navigator.clipboard && window.isSecureContext) {
+        await navigator.clipboard.writeText(text);
+        return;
+    }
+
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    textarea.style.position = 'fixed';
+    textarea.style.opacity = '0';
+    document.body.appendChild(textarea);
+    textarea.select();
+    document.execCommand('copy');
+    textarea.remove();
+}
+
+// Show a status message in the export panel
+function setExportStatus(message) {
+    document.getElementById('export-status').textContent = message;
+}
@@ -0,0 +1,136 @@
+// Place-name geocoding for the search box through a pluggable provider
+// A provider is { name, autocomplete, search(query, limit) } where search resolves to places:
+// { name, detail, type, lat, lng, bbox } with bbox as [minLng, minLat, maxLng, maxLat] or null
+
+// Provider factories by CONFIG.geocoder.provider name; add to this to plug in another geocoder
+const GEOCODER_PROVIDERS = {
+    gazetteer: createGazetteerGeocoder,
+    nominatim: createNominatimGeocoder
+};
+
+let geocoder = null; // Active provider
+
+// Create the provider named in the configuration
+function setupGeocoder() {
+    const options = CONFIG.geocoder;
+    const createProvider = GEOCODER_PROVIDERS[options.provider];
+
+    if (!createProvider) {
+        console.warn(`Unknown geocoder provider "${options.provider}", place search is disabled`);
+        return;
+    }
+
+    geocoder = createProvider(options);
+    console.log(`Place search uses ${geocoder.name}`);
+}
+
+// Search for places, resolving to an empty list if there is no provider or it fails
+async function geocodePlaces(query, limit) {
+    if (!geocoder || query.length < CONFIG.geocoder.minQueryLength) return [];
+
+    try {
+        return await geocoder.search(query, limit);
+    } catch (error) {
+        console.warn('Place search failed:', error);
+        return [];
+    }
+}
+
+// Offline provider backed by a bundled gazetteer file of { name, region, country, type, lat, lng, bbox? }
+function createGazetteerGeocoder(options) {
+    let placesPromise = null;
+
+    // Load the gazetteer on first use, retrying on the next search if it fails
+    const loadPlaces = () => {
+        if (!placesPromise) {
+            placesPromise = fetch(options.gazetteerPath)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP error! status: ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(places => places.map(place => ({ ...place, key: normalisePlaceName(place.name) })))
+                .catch(error => {
+                    placesPromise = null;
+                    throw error;
+                });
+        }
+        return placesPromise;
+    };
+
+    return {
+        name: 'the offline gazetteer',
+        autocomplete: true,
+        search: async function (query, limit) {
+            const places = await loadPlaces();
+            const key = normalisePlaceName(query);
+
+            // Rank names that start with the query first, then word starts, then anywhere
+            const rank = place => {
+                if (place.key.startsWith(key)) return 0;
+                if (place.key.includes(` ${key}`) || place.key.includes(`-${key}`)) return 1;
+                if (place.key.includes(key)) return 2;
+                return -1;
+            };
+
+            return places
+                .map(place => ({ place, score: rank(place) }))
+                .filter(match => match.score >= 0)
+                .sort((a, b) => a.score - b.score || a.place.name.length - b.place.name.length)
+                .slice(0, limit)
+                .map(({ place }) => ({
+                    name: place.name,
+                    detail: [place.region, place.country].filter(Boolean).join(', '),
+                    type: place.type,
+                    lat: place.lat,
+                    lng: place.lng,
+                    bbox: place.bbox || null
+                }));
+        }
+    };
+}
+
+// Provider for any Nominatim-compatible search endpoint
+// Public Nominatim does not allow searching as you type, so by default places are only searched on Enter
+function createNominatimGeocoder(options) {
+    return {
+        name: `Nominatim at ${options.nominatimUrl}`,
+        autocomplete: options.nominatimAutocomplete,
+        search: async function (query, limit) {
+            const url = new URL(options.nominatimUrl, window.location.href);
+            url.searchParams.set('q', query);
+            url.searchParams.set('format', 'jsonv2');
+            url.searchParams.set('limit', limit);
+            if (options.nominatimCountryCodes) {
+                url.searchParams.set('countrycodes', options.nominatimCountryCodes);
+            }
+
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const results = await response.json();
+
+            return results.map(result => {
+                // Nominatim bounding boxes are [south, north, west, east] strings
+                const box = (result.boundingbox || []).map(Number);
+
+                return {
+                    name: result.name || result.display_name.split(',')[0],
+                    detail: result.display_name,
+                    type: result.type || result.category || 'place',
+                    lat: parseFloat(result.lat),
+                    lng: parseFloat(result.lon),
+                    bbox: box.length === 4 ? [box[2], box[0], box[3], box[1]] : null
+                };
+            });
+        }
+    };
+}
+
+// Lower-case a place name and strip accents so "Mérida" matches "merida"
+function normalisePlaceName(name) {
+    return String(name).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
@@ -0,0 +1,139 @@
+// Geodesic measurements of GeoJSON geometries ([lng, lat] order) on a spherical Earth
+// Centroids are worked out on the sphere, so tiles split at the antimeridian need no special casing
+// Kept free of Leaflet and DOM references so they can be reused anywhere
+
+const EARTH_RADIUS = 6371008.8; // Mean Earth radius in metres
+
+// Convert a [lng, lat] coordinate to a unit vector from the Earth's centre
+function toUnitVector(coord) {
+    const lng = toRadians(coord[0]);
+    const lat = toRadians(coord[1]);
+    return [Math.cos(lat) * Math.cos(lng), Math.cos(lat) * Math.sin(lng), Math.sin(lat)];
+}
+
+// Area-weighted centroid of a Polygon or MultiPolygon as { lat, lng }, or null for an empty geometry
+// Each ring is split into a fan of triangles whose areas weight their centres; holes are subtracted
+function getGeometryCentroid(geometry) {
+    const sum = [0, 0, 0];
+
+    getGeometryPolygons(geometry).forEach(polygon => {
+        polygon.forEach((ring, ringIndex) => {
+            const vectors = openRing(ring).filter(coord => coord.length >= 2).map(toUnitVector);
+            if (vectors.length < 3) return;
+
+            const ringSum = [0, 0, 0];
+            let ringArea = 0;
+            const a = vectors[0];
+
+            for (let i = 1; i < vectors.length - 1; i++) {
+                const b = vectors[i];
+                const c = vectors[i + 1];
+
+                // Signed area of the triangle seen from outside the sphere (positive when counter-clockwise)
+                const ab = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+                const ac = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+                const centre = [(a[0] + b[0] + c[0]) / 3, (a[1] + b[1] + c[1]) / 3, (a[2] + b[2] + c[2]) / 3];
+                const area = ((ab[1] * ac[2] - ab[2] * ac[1]) * centre[0] +
+                    (ab[2] * ac[0] - ab[0] * ac[2]) * centre[1] +
+                    (ab[0] * ac[1] - ab[1] * ac[0]) * centre[2]) / 2;
+
+                ringArea += area;
+                for (let axis = 0; axis < 3; axis++) ringSum[axis] += area * centre[axis];
+            }
+
+            // Outer rings add and holes subtract, whichever way round they are wound
+            const sign = (ringIndex === 0 ? 1 : -1) * (ringArea < 0 ? -1 : 1);
+            for (let axis = 0; axis < 3; axis++) sum[axis] += sign * ringSum[axis];
+        });
+    });
+
+    const length = Math.hypot(sum[0], sum[1], sum[2]);
+    if (length === 0) return null;
+
+    return {
+        lat: toDegrees(Math.asin(sum[2] / length)),
+        lng: toDegrees(Math.atan2(sum[1], sum[0]))
+    };
+}
+
+// Geodesic area of a ring in square metres on a spherical Earth
+function getRingGeodesicArea(ring) {
+    const coords = openRing(ring);
+    let area = 0;
+
+    for (let i = 0; i < coords.length; i++) {
+        const [lng1, lat1] = coords[i];
+        const [lng2, lat2] = coords[(i + 1) % coords.length];
+
+        // Take the short way round when an edge jumps across the antimeridian
+        const deltaLng = ((lng2 - lng1 + 540) % 360) - 180;
+        area += toRadians(deltaLng) * (2 + Math.sin(toRadians(lat1)) + Math.sin(toRadians(lat2)));
+    }
+
+    return Math.abs(area * EARTH_RADIUS * EARTH_RADIUS / 2);
+}
+
+// Geodesic area of a Polygon or MultiPolygon geometry in square metres
+function getGeometryGeodesicArea(geometry) {
+    return getGeometryPolygons(geometry).reduce((total, polygon) =>
+        polygon.reduce((polygonTotal, ring, index) => {
+            const ringArea = getRingGeodesicArea(ring);
+            return index === 0 ? polygonTotal + ringArea : polygonTotal - ringArea;
+        }, total), 0);
+}
+
+// Geodesic perimeter of a Polygon or MultiPolygon geometry in metres
+// Edges along ±180° where a tile was split at the antimeridian are cuts, not part of its outline
+function getGeometryPerimeter(geometry) {
+    let perimeter = 0;
+
+    getGeometryPolygons(geometry).forEach(polygon => {
+        polygon.forEach(ring => {
+            const coords = openRing(ring);
+
+            for (let i = 0; i < coords.length; i++) {
+                const from = coords[i];
+                const to = coords[(i + 1) % coords.length];
+                if (Math.abs(from[0]) === 180 && from[0] === to[0]) continue;
+
+                perimeter += getGreatCircleDistance(from, to);
+            }
+        });
+    });
+
+    return perimeter;
+}
+
+// Great-circle distance in metres between two [lng, lat] coordinates (haversine)
+function getGreatCircleDistance(from, to) {
+    const lat1 = toRadians(from[1]);
+    const lat2 = toRadians(to[1]);
+    const sinHalfLat = Math.sin((lat2 - lat1) / 2);
+    const sinHalfLng = Math.sin(toRadians(to[0] - from[0]) / 2);
+    const h = sinHalfLat * sinHalfLat + Math.cos(lat1) * Math.cos(lat2) * sinHalfLng * sinHalfLng;
+
+    return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Initial bearing in degrees clockwise from north along the great circle between two [lng, lat] coordinates
+function getInitialBearing(from, to) {
+    const lat1 = toRadians(from[1]);
+    const lat2 = toRadians(to[1]);
+    const dLng = toRadians(to[0] - from[0]);
+    const y = Math.sin(dLng) * Math.cos(lat2);
+    const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng);
+
+    return toDegrees(Math.atan2(y, x));
+}
+
+// The [lng, lat] coordinate reached by travelling a distance in metres on a bearing from a start point
+// The longitude is kept next to the start's, so it may pass ±180
+function getDestinationPoint(from, bearing, distance) {
+    const lat1 = toRadians(from[1]);
+    const angle = distance / EARTH_RADIUS;
+    const heading = toRadians(bearing);
+    const lat2 = Math.asin(Math.sin(lat1) * Math.cos(angle) + Math.cos(lat1) * Math.sin(angle) * Math.cos(heading));
+    const dLng = Math.atan2(Math.sin(heading) * Math.sin(angle) * Math.cos(lat1), Math.cos(angle) - Math.sin(lat1) * Math.sin(lat2));
+
+    return [from[0] + toDegrees(dLng), toDegrees(lat2)];
+}
@@ -0,0 +1,429 @@
+// Geometry helpers for GeoJSON coordinates ([lng, lat] order)
+// Kept free of Leaflet and DOM references so they can be reused anywhere
+
+// Get the polygons of a Polygon or MultiPolygon geometry as arrays of rings
+function getGeometryPolygons(geometry) {
+    if (!geometry || !geometry.coordinates) return [];
+
+    if (geometry.type === 'Polygon') {
+        return [geometry.coordinates];
+    } else if (geometry.type === 'MultiPolygon') {
+        return geometry.coordinates;
+    }
+
+    return [];
+}
+
+// Calculate the bounding box of a ring as [minLng, minLat, maxLng, maxLat]
+function getRingBBox(ring) {
+    let minLng = Infinity, minLat = Infinity;
+    let maxLng = -Infinity, maxLat = -Infinity;
+
+    ring.forEach(coord => {
+        minLng = Math.min(minLng, coord[0]);
+        minLat = Math.min(minLat, coord[1]);
+        maxLng = Math.max(maxLng, coord[0]);
+        maxLat = Math.max(maxLat, coord[1]);
+    });
+
+    return [minLng, minLat, maxLng, maxLat];
+}
+
+// Calculate the bounding box of a whole geometry
+function getGeometryBBox(geometry) {
+    const bboxes = getGeometryPolygons(geometry)
+        .filter(polygon => polygon[0] && polygon[0].length > 0)
+        .map(polygon => getRingBBox(polygon[0]));
+
+    if (bboxes.length === 0) return null;
+
+    return mergeBBoxes(bboxes);
+}
+
+// Merge several bounding boxes into one
+function mergeBBoxes(bboxes) {
+    return bboxes.reduce((merged, bbox) => [
+        Math.min(merged[0], bbox[0]),
+        Math.min(merged[1], bbox[1]),
+        Math.max(merged[2], bbox[2]),
+        Math.max(merged[3], bbox[3])
+    ]);
+}
+
+// Check if two bounding boxes intersect
+function bboxesIntersect(a, b) {
+    return a[0] <= b[2] && a[2] >= b[0] && a[1] <= b[3] && a[3] >= b[1];
+}
+
+// Remove the closing coordinate of a ring if it repeats the first one
+function openRing(ring) {
+    if (ring.length > 1) {
+        const first = ring[0];
+        const last = ring[ring.length - 1];
+        if (first[0] === last[0] && first[1] === last[1]) {
+            return ring.slice(0, -1);
+        }
+    }
+    return ring;
+}
+
+// Get the longitude offset that moves a bounding box's centre back into -180..180
+function getWorldOffset(bbox) {
+    const centreLng = (bbox[0] + bbox[2]) / 2;
+    return -360 * Math.round(centreLng / 360);
+}
+
+// Shift a longitude by whole turns to the copy of the world nearest a reference longitude
+function wrapLngNear(lng, referenceLng) {
+    return lng + 360 * Math.round((referenceLng - lng) / 360);
+}
+
+// Shift a ring east or west by a longitude offset
+function offsetRing(ring, lngOffset) {
+    if (lngOffset === 0) return ring;
+    return ring.map(coord => [coord[0] + lngOffset, coord[1]]);
+}
+
+// Make the longitudes of a ring that jumps across the antimeridian continuous
+// Rings that are already continuous are left alone, however wide they are
+function unwrapRing(ring) {
+    const jumps = ring.some((coord, index) => index > 0 && Math.abs(coord[0] - ring[index - 1][0]) > 180);
+    if (!jumps) return ring;
+    return ring.map(coord => [coord[0] < 0 ? coord[0] + 360 : coord[0], coord[1]]);
+}
+
+// Planar signed area of a ring in square degrees (positive when counter-clockwise)
+function getRingSignedArea(ring) {
+    const coords = openRing(ring);
+    let area = 0;
+
+    for (let i = 0; i < coords.length; i++) {
+        const [x1, y1] = coords[i];
+        const [x2, y2] = coords[(i + 1) % coords.length];
+        area += x1 * y2 - x2 * y1;
+    }
+
+    return area / 2;
+}
+
+// Planar area of a polygon (outer ring minus holes) in square degrees
+function getPolygonArea(polygon) {
+    return polygon.reduce((total, ring, index) => {
+        const ringArea = Math.abs(getRingSignedArea(ring));
+        return index === 0 ? total + ringArea : total - ringArea;
+    }, 0);
+}
+
+// Clip a ring against a convex ring (Sutherland–Hodgman)
+// The subject may be concave; the clipped area is still exact
+function clipRingToConvexRing(subject, clip) {
+    const clipCoords = openRing(clip);
+    const orientation = getRingSignedArea(clipCoords) >= 0 ? 1 : -1;
+    let output = openRing(subject);
+
+    for (let i = 0; i < clipCoords.length && output.length > 0; i++) {
+        const edgeStart = clipCoords[i];
+        const edgeEnd = clipCoords[(i + 1) % clipCoords.length];
+        const input = output;
+        output = [];
+
+        const isInside = point => orientation * (
+            (edgeEnd[0] - edgeStart[0]) * (point[1] - edgeStart[1]) -
+            (edgeEnd[1] - edgeStart[1]) * (point[0] - edgeStart[0])
+        ) >= 0;
+
+        const intersect = (from, to) => {
+            const dx = to[0] - from[0];
+            const dy = to[1] - from[1];
+            const edgeDx = edgeEnd[0] - edgeStart[0];
+            const edgeDy = edgeEnd[1] - edgeStart[1];
+            const denominator = edgeDx * dy - edgeDy * dx;
+            if (denominator === 0) return from;
+            const t = (edgeDy * (from[0] - edgeStart[0]) - edgeDx * (from[1] - edgeStart[1])) / denominator;
+            return [from[0] + t * dx, from[1] + t * dy];
+        };
+
+        for (let j = 0; j < input.length; j++) {
+            const current = input[j];
+            const previous = input[(j + input.length - 1) % input.length];
+
+            if (isInside(current)) {
+                if (!isInside(previous)) {
+                    output.push(intersect(previous, current));
+                }
+                output.push(current);
+            } else if (isInside(previous)) {
+                output.push(intersect(previous, current));
+            }
+        }
+    }
+
+    return output;
+}
+
+// Area of the intersection between a polygon (with holes) and a convex ring
+function getPolygonIntersectionArea(polygon, convexRing) {
+    return polygon.reduce((total, ring, index) => {
+        const clipped = clipRingToConvexRing(ring, convexRing);
+        const ringArea = clipped.length >= 3 ? Math.abs(getRingSignedArea(clipped)) : 0;
+        return index === 0 ? total + ringArea : total - ringArea;
+    }, 0);
+}
+
+// Check if a point lies inside a ring (ray casting)
+function isPointInRing(point, ring) {
+    const [x, y] = point;
+    let inside = false;
+
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+
+    return inside;
+}
+
+// Planar distance from a point to a line segment
+function getPointToSegmentDistance(point, start, end) {
+    const dx = end[0] - start[0];
+    const dy = end[1] - start[1];
+    const lengthSquared = dx * dx + dy * dy;
+
+    // Closest point on the segment, clamped to its ends
+    const t = lengthSquared > 0 ?
+        Math.max(0, Math.min(1, ((point[0] - start[0]) * dx + (point[1] - start[1]) * dy) / lengthSquared)) : 0;
+
+    return Math.hypot(point[0] - (start[0] + t * dx), point[1] - (start[1] + t * dy));
+}
+
+// Planar distance from a point to the nearest edge of a ring
+function getPointToRingDistance(point, ring) {
+    let minDistance = Infinity;
+
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        minDistance = Math.min(minDistance, getPointToSegmentDistance(point, ring[j], ring[i]));
+    }
+
+    return minDistance;
+}
+
+// Simplify a ring with the Douglas–Peucker algorithm, dropping points within tolerance of the outline
+// Returns a closed ring, or null if fewer than three points would be left
+function simplifyRing(ring, tolerance) {
+    const coords = openRing(ring);
+    if (coords.length < 3) return null;
+
+    // Split the ring at the point furthest from the first, so each half is an open line
+    let furthest = 0;
+    let maxDistance = -1;
+    coords.forEach((coord, index) => {
+        const distance = Math.hypot(coord[0] - coords[0][0], coord[1] - coords[0][1]);
+        if (distance > maxDistance) {
+            maxDistance = distance;
+            furthest = index;
+        }
+    });
+
+    const keep = new Uint8Array(coords.length);
+    keep[0] = 1;
+    keep[furthest] = 1;
+
+    // Index coords.length stands for the first point again, closing the ring
+    const stack = [[0, furthest], [furthest, coords.length]];
+    while (stack.length > 0) {
+        const [start, end] = stack.pop();
+        let splitIndex = -1;
+        let splitDistance = tolerance;
+
+        for (let i = start + 1; i < end; i++) {
+            const distance = getPointToSegmentDistance(coords[i], coords[start], coords[end % coords.length]);
+            if (distance > splitDistance) {
+                splitDistance = distance;
+                splitIndex = i;
+            }
+        }
+
+        if (splitIndex >= 0) {
+            keep[splitIndex] = 1;
+            stack.push([start, splitIndex], [splitIndex, end]);
+        }
+    }
+
+    const simplified = coords.filter((coord, index) => keep[index] === 1);
+    if (simplified.length < 3) return null;
+
+    simplified.push(simplified[0]);
+    return simplified;
+}
+
+// Check if a point lies inside a polygon, outside any of its holes
+function isPointInPolygon(point, polygon) {
+    if (!polygon[0] || !isPointInRing(point, polygon[0])) return false;
+    return !polygon.slice(1).some(hole => isPointInRing(point, hole));
+}
+
+// Dissolve polygons that share edges into one polygon per connected region, as raster outlines need
+// Collinear edges are split where other edges start or end, so cells sharing only part of an edge still join;
+// edges walked in both directions are inner and cancel out, and the rest are chained into rings
+// Polygons are expected to touch rather than overlap. Returns polygons with counter-clockwise outer rings
+function dissolvePolygons(polygons) {
+    const points = new Map(); // Vertex key -> coordinate
+    const keyOf = coord => {
+        const key = `${Math.round(coord[0] * 1e9)},${Math.round(coord[1] * 1e9)}`;
+        if (!points.has(key)) points.set(key, coord);
+        return key;
+    };
+
+    // Outer rings run counter-clockwise and holes clockwise, so shared edges run opposite ways
+    const edges = [];
+    polygons.forEach(polygon => polygon.forEach((ring, index) => {
+        const coords = openRing(ring);
+        if (coords.length < 3) return;
+
+        const area = getRingSignedArea(coords);
+        const oriented = (index === 0) === (area > 0) ? coords : coords.slice().reverse();
+        oriented.forEach((coord, i) => {
+            const start = keyOf(coord);
+            const end = keyOf(oriented[(i + 1) % oriented.length]);
+            if (start !== end) edges.push([start, end]);
+        });
+    }));
+
+    const counts = new Map(); // 'start>end' -> times the edge is walked
+    splitCollinearEdges(edges, points).forEach(([start, end]) => {
+        const key = `${start}>${end}`;
+        counts.set(key, (counts.get(key) || 0) + 1);
+    });
+
+    // Keep the edges walked more often one way than the other, grouped by their start
+    const outgoing = new Map();
+    counts.forEach((count, key) => {
+        const [start, end] = key.split('>');
+        for (let i = count - (counts.get(`${end}>${start}`) || 0); i > 0; i--) {
+            if (!outgoing.has(start)) outgoing.set(start, []);
+            outgoing.get(start).push(end);
+        }
+    });
+
+    const rings = chainDissolvedEdges(outgoing, points);
+    const outers = rings.filter(ring => getRingSignedArea(ring) > 0).map(ring => ({
+        polygon: [ring],
+        bbox: getRingBBox(ring),
+        area: getRingSignedArea(ring)
+    }));
+
+    // Each hole goes in the smallest outer ring around the middle of its first edge
+    rings.filter(ring => getRingSignedArea(ring) < 0).forEach(hole => {
+        const point = [(hole[0][0] + hole[1][0]) / 2, (hole[0][1] + hole[1][1]) / 2];
+        const owner = outers
+            .filter(outer => outer.bbox[0] <= point[0] && point[0] <= outer.bbox[2] &&
+                outer.bbox[1] <= point[1] && point[1] <= outer.bbox[3] && isPointInRing(point, outer.polygon[0]))
+            .reduce((smallest, outer) => !smallest || outer.area < smallest.area ? outer : smallest, null);
+        if (owner) owner.polygon.push(hole);
+    });
+
+    return outers.map(outer => outer.polygon);
+}
+
+// Split horizontal and vertical edges at every vertex of other edges on the same line
+// Other edges are kept whole; they only cancel when another edge has the same ends
+function splitCollinearEdges(edges, points) {
+    const lines = new Map(); // Line key -> sorted positions of the vertices on it, in vertex key units
+    const getLine = ([start, end]) => {
+        const [x1, y1] = start.split(',');
+        const [x2, y2] = end.split(',');
+        if (y1 === y2) return { key: `y${y1}`, from: Number(x1), to: Number(x2), at: x => `${x},${y1}` };
+        if (x1 === x2) return { key: `x${x1}`, from: Number(y1), to: Number(y2), at: y => `${x1},${y}` };
+        return null;
+    };
+
+    edges.forEach(edge => {
+        const line = getLine(edge);
+        if (!line) return;
+        if (!lines.has(line.key)) lines.set(line.key, []);
+        lines.get(line.key).push(line.from, line.to);
+    });
+    lines.forEach((positions, key) => {
+        lines.set(key, Array.from(new Set(positions)).sort((a, b) => a - b));
+    });
+
+    return edges.flatMap(edge => {
+        const line = getLine(edge);
+        if (!line) return [edge];
+
+        // Positions strictly between the edge's ends, found by binary search, in the direction it runs
+        const positions = lines.get(line.key);
+        const low = Math.min(line.from, line.to);
+        const high = Math.max(line.from, line.to);
+        let first = 0;
+        let last = positions.length;
+        while (first < last) {
+            const middle = (first + last) >> 1;
+            if (positions[middle] <= low) first = middle + 1; else last = middle;
+        }
+
+        const inside = [];
+        for (let i = first; i < positions.length && positions[i] < high; i++) inside.push(positions[i]);
+        if (inside.length === 0) return [edge];
+        if (line.from > line.to) inside.reverse();
+
+        // Every position is already a vertex of another edge, so its coordinate is known
+        const keys = inside.map(line.at).filter(key => points.has(key));
+        return [edge[0], ...keys].map((start, i) => [start, i < keys.length ? keys[i] : edge[1]]);
+    });
+}
+
+// Chain edges (start key -> end keys) into closed rings, dropping vertices along straight runs
+// Where rings touch at a corner the sharpest left turn is taken, so each region gets its own ring
+function chainDissolvedEdges(outgoing, points) {
+    const rings = [];
+
+    outgoing.forEach((ends, firstKey) => {
+        while (ends.length > 0) {
+            const keys = [firstKey];
+            let previous = firstKey;
+            let current = ends.pop();
+
+            while (current !== firstKey) {
+                keys.push(current);
+                const options = outgoing.get(current);
+                if (!options || options.length === 0) break; // Only for broken input
+
+                const [px, py] = points.get(previous);
+                const [cx, cy] = points.get(current);
+                let best = 0;
+                let bestTurn = -Infinity;
+                options.forEach((key, index) => {
+                    const [nx, ny] = points.get(key);
+                    const turn = Math.atan2(
+                        (cx - px) * (ny - cy) - (cy - py) * (nx - cx),
+                        (cx - px) * (nx - cx) + (cy - py) * (ny - cy)
+                    );
+                    if (turn > bestTurn) {
+                        bestTurn = turn;
+                        best = index;
+                    }
+                });
+
+                previous = current;
+                current = options.splice(best, 1)[0];
+            }
+
+            const coords = keys.map(key => points.get(key));
+            const ring = coords.filter((coord, i) => {
+                const before = coords[(i + coords.length - 1) % coords.length];
+                const after = coords[(i + 1) % coords.length];
+                const cross = (coord[0] - before[0]) * (after[1] - coord[1]) - (coord[1] - before[1]) * (after[0] - coord[0]);
+                return Math.abs(cross) > 1e-18;
+            });
+
+            if (ring.length >= 3) rings.push([...ring, ring[0]]);
+        }
+    });
+
+    return rings;
+}
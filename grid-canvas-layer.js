@@ -0,0 +1,124 @@
+// Canvas grid layer: draws every grid outline at any zoom from tiles sliced by the grid worker
+// One layer per grid system; the system is loaded into the worker when its first tile is drawn
+
+const GridCanvasLayer = L.GridLayer.extend({
+    options: {
+        system: 'sentinel2', // Grid system id (see grid-systems.js)
+        url: null, // GeoJSON file of the grid system, or null for grids built in code
+        showOverlaps: false // Shade the areas where neighbouring tiles overlap
+    },
+
+    // Switch overlap shading on or off and redraw
+    setShowOverlaps: function (show) {
+        this.options.showOverlaps = show;
+        return this.redraw();
+    },
+
+    // Create a canvas tile and draw it once the worker has sliced its outlines
+    createTile: function (coords, done) {
+        const tile = L.DomUtil.create('canvas', 'leaflet-tile');
+        const size = this.getTileSize();
+        const ratio = window.devicePixelRatio || 1;
+
+        // Draw at device resolution so outlines stay sharp on high-DPI screens
+        tile.width = size.x * ratio;
+        tile.height = size.y * ratio;
+
+        const { system, url, showOverlaps } = this.options;
+
+        loadGridSystem(system, url)
+            .then(() => fetchGridTile(coords, size.x, showOverlaps, system))
+            .then(gridTile => {
+                drawGridTile(tile, gridTile, coords.z, ratio, getGridSystem(system));
+                done(null, tile);
+            })
+            .catch(error => {
+                console.warn('Failed to draw grid tile:', error);
+                done(error, tile);
+            });
+
+        return tile;
+    }
+});
+
+// Create the canvas layer that draws the outlines of a grid system
+function createGridCanvasLayer(system = 'sentinel2', url = CONFIG.geojsonPath) {
+    return new GridCanvasLayer({
+        system,
+        url,
+        pane: 'gridPane',
+        updateWhenZooming: false
+    });
+}
+
+// Draw the outlines of one tile in the theme's colours, batched by colour so each is stroked once
+// Grids without a zone are drawn in their system's colour
+function drawGridTile(canvas, gridTile, zoom, ratio, system) {
+    const { coords, ringStarts, zones, bands } = gridTile;
+    const context = canvas.getContext('2d');
+    const filled = zoom >= CONFIG.gridFillZoomThreshold;
+
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    context.lineJoin = 'round';
+    context.lineWidth = filled ? gridTheme.lineWeight : gridTheme.lineWeight * 0.375;
+
+    const ringsByColor = new Map();
+    zones.forEach((zone, ringIndex) => {
+        const color = zone ? getThemeColor(zone, MGRS_LATITUDE_BANDS[bands[ringIndex] - 1] || null) : system.color;
+        if (!ringsByColor.has(color)) {
+            ringsByColor.set(color, []);
+        }
+        ringsByColor.get(color).push(ringIndex);
+    });
+
+    ringsByColor.forEach((ringIndexes, color) => {
+        context.beginPath();
+        ringIndexes.forEach(ringIndex => {
+            const start = ringStarts[ringIndex];
+            const end = ringIndex + 1 < ringStarts.length ? ringStarts[ringIndex + 1] : coords.length / 2;
+
+            context.moveTo(coords[start * 2], coords[start * 2 + 1]);
+            for (let i = start + 1; i < end; i++) {
+                context.lineTo(coords[i * 2], coords[i * 2 + 1]);
+            }
+            context.closePath();
+        });
+
+        if (filled && gridTheme.fillOpacity > 0) {
+            context.globalAlpha = gridTheme.fillOpacity;
+            context.fillStyle = color;
+            context.fill();
+        }
+
+        context.globalAlpha = 0.8;
+        context.strokeStyle = color;
+        context.stroke();
+    });
+
+    if (gridTile.overlapRingStarts.length > 0) {
+        drawOverlapZones(context, gridTile);
+    }
+}
+
+// Shade the overlap zones between neighbouring tiles
+// Each zone is filled on its own so areas covered by three or four tiles show darker
+function drawOverlapZones(context, gridTile) {
+    const { overlapCoords, overlapRingStarts } = gridTile;
+
+    context.globalAlpha = 0.25;
+    context.fillStyle = '#ff5722';
+
+    overlapRingStarts.forEach((start, ringIndex) => {
+        const end = ringIndex + 1 < overlapRingStarts.length ? overlapRingStarts[ringIndex + 1] : overlapCoords.length / 2;
+
+        context.beginPath();
+        context.moveTo(overlapCoords[start * 2], overlapCoords[start * 2 + 1]);
+        for (let i = start + 1; i < end; i++) {
+            context.lineTo(overlapCoords[i * 2], overlapCoords[i * 2 + 1]);
+        }
+        context.closePath();
+        context.fill();
+    });
+
+    context.globalAlpha = 1;
+}
@@ -0,0 +1,144 @@
+// Main-thread client for the grid worker
+// Every query returns a promise that resolves with the worker's result
+// Queries run against the Sentinel-2 grid unless another grid system id is given
+
+let gridWorker = null;
+let gridWorkerRequestId = 0;
+const gridWorkerRequests = new Map(); // Request id -> { resolve, reject }
+const gridSystemLoads = new Map(); // Grid system id -> promise of its load result
+const gridSystemProgress = new Map(); // Grid system id -> progress callback while loading
+
+// Start the worker
+function startGridWorker() {
+    gridWorker = new Worker(CONFIG.gridWorkerPath);
+
+    gridWorker.onmessage = function (e) {
+        const message = e.data;
+
+        if (message.type === 'progress') {
+            const onProgress = gridSystemProgress.get(message.system);
+            if (onProgress) {
+                onProgress(message);
+            }
+            return;
+        }
+
+        const request = gridWorkerRequests.get(message.id);
+        if (!request) return;
+
+        gridWorkerRequests.delete(message.id);
+        if (message.error) {
+            request.reject(new Error(message.error));
+        } else {
+            request.resolve(message.result);
+        }
+    };
+
+    gridWorker.onerror = function (e) {
+        console.error('Grid worker error:', e.message);
+        gridWorkerRequests.forEach(request => request.reject(new Error(e.message || 'Grid worker failed')));
+        gridWorkerRequests.clear();
+    };
+}
+
+// Load a grid system into the worker once, from its GeoJSON file or built in code if url is null
+// Resolves to { count }; a failed load can be retried
+function loadGridSystem(system, url, onProgress = null) {
+    if (!gridSystemLoads.has(system)) {
+        if (onProgress) {
+            gridSystemProgress.set(system, onProgress);
+        }
+
+        const load = requestGridWorker('load', { system, url })
+            .catch(error => {
+                gridSystemLoads.delete(system);
+                throw error;
+            })
+            .finally(() => gridSystemProgress.delete(system));
+
+        gridSystemLoads.set(system, load);
+    }
+    return gridSystemLoads.get(system);
+}
+
+// Send a request to the worker
+function requestGridWorker(type, payload = {}) {
+    if (!gridWorker) {
+        return Promise.reject(new Error('Grid worker has not been started'));
+    }
+
+    const id = ++gridWorkerRequestId;
+
+    return new Promise((resolve, reject) => {
+        gridWorkerRequests.set(id, { resolve, reject });
+        gridWorker.postMessage({ id, type, ...payload, system: payload.system || 'sentinel2' });
+    });
+}
+
+// Get grids ({ name, feature, centroid }) intersecting any of the bounding boxes
+function queryGrids(bboxes, system) {
+    return requestGridWorker('query', { bboxes, system });
+}
+
+// Count the grids intersecting any of the bounding boxes
+function countGrids(bboxes, system) {
+    return requestGridWorker('count', { bboxes, system });
+}
+
+// Rank grids ({ name, centroid, ranges }) against a name query, resolving to { results, total }
+function searchGrids(query, limit, system) {
+    return requestGridWorker('search', { query, limit, system });
+}
+
+// Look up grids ({ name, feature, centroid }) by exact name
+function fetchGridsByName(names, system) {
+    return requestGridWorker('getGrids', { names, system });
+}
+
+// Look up a single grid by exact name, or null if unknown
+async function fetchGridByName(name, system) {
+    const results = await fetchGridsByName([name], system);
+    return results[0] || null;
+}
+
+// Get the grid outlines (and optionally their overlaps) in a map tile, projected to tile pixels
+function fetchGridTile(coords, tileSize, overlaps = false, system) {
+    return requestGridWorker('tile', { z: coords.z, x: coords.x, y: coords.y, tileSize, overlaps, system });
+}
+
+// Find grids ({ name, feature, centroid, edgeDistance }) containing a point, most central first
+function findGridsAtPoint(lat, lng, system) {
+    return requestGridWorker('gridsAtPoint', { lat, lng, system });
+}
+
+// Find grids ({ name, feature, coverage }) intersecting polygons
+function intersectGrids(polygons, system) {
+    return requestGridWorker('intersect', { polygons, system });
+}
+
+// Find grids ({ name, feature, centroid }) whose centroid falls inside a ring
+function findGridsInRing(ring, system) {
+    return requestGridWorker('gridsInRing', { ring, system });
+}
+
+// Cross-reference grids by name with another grid system, resolving to
+// [{ name, found, matches: [{ name, sourceOverlap, targetOverlap }] }]
+function crossReferenceGrids(names, system, target) {
+    return requestGridWorker('crossReference', { names, system, target });
+}
+
+// Load the no-coverage areas into the worker, resolving to { geometry, polygonCount, vertexCount }
+// with their dissolved and simplified geometry for display, or null if there is no file
+function loadNoCoverageAreas(url, tolerance) {
+    return requestGridWorker('loadNoCoverage', { url, tolerance });
+}
+
+// Get the share of each named grid's footprint without coverage, resolving to [{ name, fraction }]
+function fetchNoCoverageFractions(names, system) {
+    return requestGridWorker('noCoverage', { names, system });
+}
+
+// Hide or show grids lying wholly in the no-coverage areas
+function setHideUncoveredGrids(hidden, system) {
+    return requestGridWorker('hideUncovered', { hidden, system });
+}
@@ -0,0 +1,67 @@
+// Grid system overlays: Sentinel-2 plus the other grids in CONFIG.gridSystemPaths, each a toggleable layer
+
+const gridSystemLayers = new Map(); // Grid system id -> canvas layer
+
+// Add every grid system to the layer control; only Sentinel-2 is shown at first
+function setupGridSystemLayers() {
+    gridSystemLayers.set('sentinel2', gridLayer);
+    map.layerControl.addOverlay(gridLayer, GRID_SYSTEMS.sentinel2.label);
+
+    Object.entries(CONFIG.gridSystemPaths).forEach(([systemId, url]) => {
+        const system = getGridSystem(systemId);
+        const layer = createGridCanvasLayer(systemId, url);
+
+        // The grid is loaded the first time the layer is switched on
+        layer.on('add', function () {
+            loadGridSystem(systemId, url)
+                .then(({ count }) => console.log(`Loaded ${count} ${system.label}`))
+                .catch(error => {
+                    console.warn(`Failed to load ${system.label}:`, error);
+                    map.removeLayer(layer);
+                });
+        });
+
+        gridSystemLayers.set(systemId, layer);
+        map.layerControl.addOverlay(layer, system.label);
+    });
+}
+
+// Get the ids of the grid systems shown on the map
+function getActiveGridSystems() {
+    return Array.from(gridSystemLayers.entries())
+        .filter(([, layer]) => map.hasLayer(layer))
+        .map(([systemId]) => systemId);
+}
+
+// Whether any grid system other than Sentinel-2 is shown
+function hasActiveGridOverlays() {
+    return getActiveGridSystems().some(systemId => systemId !== 'sentinel2');
+}
+
+// Show a popup listing the grid IDs at a location in every grid system on the map
+async function reportGridsAtPoint(latlng) {
+    const point = latlng.wrap();
+    const systems = getActiveGridSystems();
+
+    const results = await Promise.all(systems.map(systemId =>
+        findGridsAtPoint(point.lat, point.lng, systemId).catch(error => {
+            console.warn(`Failed to find ${getGridSystem(systemId).label} at point:`, error);
+            return [];
+        })
+    ));
+
+    const rows = systems.map((systemId, index) => {
+        const names = results[index].map(grid => escapeHtml(grid.name));
+        return `
+            <tr>
+                <th>${escapeHtml(getGridSystem(systemId).label)}</th>
+                <td>${names.length > 0 ? names.join(', ') : 'None'}</td>
+            </tr>
+        `;
+    }).join('');
+
+    L.popup({ maxWidth: 320 })
+        .setLatLng(latlng)
+        .setContent(`<table class="info-table grid-report">${rows}</table>`)
+        .openOn(map);
+}
@@ -0,0 +1,204 @@
+// Registry of the grid systems the explorer can show: Sentinel-2 MGRS tiles, Landsat WRS-2 path/rows
+// and MODIS sinusoidal tiles. Each is loaded into the grid worker and drawn as its own canvas layer.
+// Kept free of Leaflet and DOM references so the worker can use it too
+
+// A grid system is { id, label, color, getName(feature), getZone(name), getBand(name), normaliseName(text), createFeatures? }
+// getZone returns the UTM zone used to colour a grid, or null to use the system colour;
+// getBand returns the MGRS latitude band letter, or null if the grid has none;
+// normaliseName turns typed text into the system's grid name form;
+// createFeatures builds the grid in code when no data file is configured for the system
+const GRID_SYSTEMS = {
+    sentinel2: {
+        id: 'sentinel2',
+        label: 'Sentinel-2 tiles',
+        color: '#e74c3c',
+        getName: getGridName,
+        getZone: getGridZone,
+        getBand: getGridBand,
+        normaliseName: text => text.trim().toUpperCase()
+    },
+    wrs2: {
+        id: 'wrs2',
+        label: 'Landsat WRS-2 path/rows',
+        color: '#ff9800',
+        getName: getWrs2Name,
+        getZone: () => null,
+        getBand: () => null,
+        normaliseName: normaliseWrs2Name,
+        createFeatures: createWrs2Features
+    },
+    modis: {
+        id: 'modis',
+        label: 'MODIS sinusoidal tiles',
+        color: '#9c27b0',
+        getName: feature => feature.properties.name,
+        getZone: () => null,
+        getBand: () => null,
+        normaliseName: text => text.trim().toLowerCase(),
+        createFeatures: createModisFeatures
+    }
+};
+
+// WRS-2 orbit: 233 paths repeating every 16 days, each split into 248 rows with row 60 on the descending node
+const WRS2_PATHS = 233;
+const WRS2_ROWS = 248;
+const WRS2_DAYTIME_ROWS = 122; // Rows 1 to 122 run down the daylit descending half of the orbit
+const WRS2_EQUATOR_ROW = 60;
+const WRS2_INCLINATION = 98.2; // Degrees
+const WRS2_PATH_1_NODE_LNG = -64.6; // Where path 1 crosses the equator going south; later paths lie to the west
+const WRS2_SCENE_WIDTH = 185000; // Metres across the track
+const WRS2_SCENE_LENGTH = 170000; // Metres along the track
+
+const MODIS_EARTH_RADIUS = 6371007.181; // Sphere used by the MODIS sinusoidal projection
+const MODIS_TILE_SIZE = 1111950.5197665; // Metres along each side of a MODIS tile (10° at the equator)
+
+// Get the system for an id, or throw if there is no such system
+function getGridSystem(systemId) {
+    const system = GRID_SYSTEMS[systemId];
+    if (!system) {
+        throw new Error(`Unknown grid system: ${systemId}`);
+    }
+    return system;
+}
+
+// Name a WRS-2 scene "PPP/RRR" from the PATH and ROW (or combined PR) fields of the USGS footprints
+function getWrs2Name(feature) {
+    const properties = feature.properties || {};
+    const pad = value => String(parseInt(value, 10)).padStart(3, '0');
+
+    if (properties.PATH !== undefined && properties.ROW !== undefined) {
+        return `${pad(properties.PATH)}/${pad(properties.ROW)}`;
+    }
+
+    const pathRow = String(properties.PR || properties.WRSPR || '');
+    if (/^\d{6}$/.test(pathRow)) {
+        return `${pathRow.slice(0, 3)}/${pathRow.slice(3)}`;
+    }
+
+    return getGridName(feature);
+}
+
+// Turn a typed path/row such as "112/82", "112-082" or "112082" into "112/082", leaving anything else as typed
+function normaliseWrs2Name(text) {
+    const trimmed = text.trim();
+    const match = /^(\d{1,3})\s*[/\-_ ]\s*(\d{1,3})$/.exec(trimmed) || /^(\d{3})(\d{3})$/.exec(trimmed);
+    return match ? `${match[1].padStart(3, '0')}/${match[2].padStart(3, '0')}` : trimmed;
+}
+
+// Build the WRS-2 daytime scenes from the nominal orbit, for when the USGS footprints are not supplied
+// Scene centres follow the ground track of each path; footprints are rectangles square to the track,
+// so they are within a few kilometres of the USGS ones. Scenes crossing the antimeridian are split there
+function createWrs2Features() {
+    const features = [];
+    const rowAngle = 360 / WRS2_ROWS;
+
+    for (let path = 1; path <= WRS2_PATHS; path++) {
+        const nodeLng = WRS2_PATH_1_NODE_LNG - (path - 1) * 360 / WRS2_PATHS;
+
+        for (let row = 1; row <= WRS2_DAYTIME_ROWS; row++) {
+            const argument = (row - WRS2_EQUATOR_ROW) * rowAngle;
+            const centre = getWrs2TrackPoint(nodeLng, argument);
+            const before = getWrs2TrackPoint(nodeLng, argument - rowAngle / 2);
+            const after = getWrs2TrackPoint(nodeLng, argument + rowAngle / 2);
+            const heading = getInitialBearing(before, [wrapLngNear(after[0], before[0]), after[1]]);
+
+            // Corners clockwise from the front left, seen in the direction of travel
+            const front = getDestinationPoint(centre, heading, WRS2_SCENE_LENGTH / 2);
+            const back = getDestinationPoint(centre, heading + 180, WRS2_SCENE_LENGTH / 2);
+            const ring = [
+                getDestinationPoint(front, heading - 90, WRS2_SCENE_WIDTH / 2),
+                getDestinationPoint(front, heading + 90, WRS2_SCENE_WIDTH / 2),
+                getDestinationPoint(back, heading + 90, WRS2_SCENE_WIDTH / 2),
+                getDestinationPoint(back, heading - 90, WRS2_SCENE_WIDTH / 2)
+            ];
+            ring.push(ring[0]);
+
+            features.push({
+                type: 'Feature',
+                properties: { PATH: path, ROW: row },
+                geometry: splitRingAtAntimeridian(ring)
+            });
+        }
+    }
+
+    return features;
+}
+
+// Ground track point of a WRS-2 path an angle (degrees) south of its descending node, as [lng, lat]
+// The Earth turns a full circle each solar day under a sun-synchronous orbit
+function getWrs2TrackPoint(nodeLng, argument) {
+    const inclination = toRadians(WRS2_INCLINATION);
+    const angle = toRadians(argument);
+    const lat = toDegrees(Math.asin(-Math.sin(inclination) * Math.sin(angle)));
+    const orbitOffset = toDegrees(Math.atan2(-Math.cos(inclination) * Math.sin(angle), -Math.cos(angle))) - 180;
+    const rotation = argument / 360 * 16 / WRS2_PATHS * 360;
+
+    return [((nodeLng + orbitOffset - rotation + 180) % 360 + 360) % 360 - 180, lat];
+}
+
+// Turn a ring into a Polygon, or a MultiPolygon of its parts either side of the antimeridian if it crosses it
+// The ring's longitudes must be continuous, which may take them past ±180
+function splitRingAtAntimeridian(ring) {
+    const bbox = getRingBBox(ring);
+    const offset = getWorldOffset(bbox);
+    const shifted = offsetRing(ring, offset);
+
+    if (bbox[0] + offset >= -180 && bbox[2] + offset <= 180) {
+        return { type: 'Polygon', coordinates: [shifted] };
+    }
+
+    const world = [[-180, -90], [180, -90], [180, 90], [-180, 90]];
+    const parts = [0, -360, 360]
+        .map(lngOffset => clipRingToConvexRing(offsetRing(shifted, lngOffset), world))
+        .filter(part => part.length >= 3)
+        .map(part => [[...part, part[0]]]);
+
+    return { type: 'MultiPolygon', coordinates: parts };
+}
+
+// Build the MODIS sinusoidal grid: 36 columns (h) by 18 rows (v) of 10° tiles, skipping those off the globe
+// Tile edges are curved in longitude and latitude, so each side is traced with several points
+function createModisFeatures() {
+    const features = [];
+    const steps = 8;
+    const halfWidth = 18 * MODIS_TILE_SIZE;
+    const halfHeight = 9 * MODIS_TILE_SIZE;
+
+    for (let v = 0; v < 18; v++) {
+        for (let h = 0; h < 36; h++) {
+            const minX = -halfWidth + h * MODIS_TILE_SIZE;
+            const maxY = halfHeight - v * MODIS_TILE_SIZE;
+
+            // Trace the tile clockwise from its north-west corner in projected metres
+            const outline = [];
+            for (let i = 0; i < steps; i++) outline.push([minX + MODIS_TILE_SIZE * i / steps, maxY]);
+            for (let i = 0; i < steps; i++) outline.push([minX + MODIS_TILE_SIZE, maxY - MODIS_TILE_SIZE * i / steps]);
+            for (let i = 0; i < steps; i++) outline.push([minX + MODIS_TILE_SIZE * (1 - i / steps), maxY - MODIS_TILE_SIZE]);
+            for (let i = 0; i < steps; i++) outline.push([minX, maxY - MODIS_TILE_SIZE * (1 - i / steps)]);
+
+            // Tiles wholly outside the projected globe hold no data
+            const onGlobe = outline.some(([x, y]) => Math.abs(x) <= Math.PI * MODIS_EARTH_RADIUS * Math.cos(y / MODIS_EARTH_RADIUS));
+            if (!onGlobe) continue;
+
+            const ring = outline.map(([x, y]) => sinusoidalToLatLng(x, y));
+            ring.push(ring[0]);
+
+            features.push({
+                type: 'Feature',
+                properties: { name: `h${String(h).padStart(2, '0')}v${String(v).padStart(2, '0')}` },
+                geometry: { type: 'Polygon', coordinates: [ring] }
+            });
+        }
+    }
+
+    return features;
+}
+
+// Convert MODIS sinusoidal metres to [lng, lat], clamping points off the globe to its edge
+function sinusoidalToLatLng(x, y) {
+    const lat = y / MODIS_EARTH_RADIUS * 180 / Math.PI;
+    const cosLat = Math.cos(y / MODIS_EARTH_RADIUS);
+    const lng = cosLat > 1e-12 ? x / (MODIS_EARTH_RADIUS * cosLat) * 180 / Math.PI : 0;
+
+    return [Math.max(-180, Math.min(180, lng)), lat];
+}
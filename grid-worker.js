@@ -0,0 +1,551 @@
+// Web Worker that loads, indexes and queries the grid data off the main thread
+// Requests are { id, type, system, ...payload } and get { id, result } or { id, error } back
+// Each grid system (see grid-systems.js) is loaded and indexed separately
+
+importScripts('geometry.js', 'spatial-index.js', 'utm.js', 'geodesic.js', 'tile-metadata.js', 'tile-search.js', 'grid-systems.js', 'no-coverage.js');
+
+const MAX_MERCATOR_LATITUDE = 85.0511287798; // Web Mercator cuts off the poles here
+
+// Loaded grids by system id, each {
+//     system, data,
+//     index: spatial index over the bounding box of every grid part,
+//     indexFeatureIds: feature id for each item in the spatial index,
+//     indexRings: outer ring of each item in the spatial index, with continuous longitudes,
+//     indexZones: UTM zone of each item in the spatial index (0 if none),
+//     indexBands: MGRS latitude band of each item as an index into MGRS_LATITUDE_BANDS plus one (0 if none),
+//     items: name, feature id and centroid of every feature, in feature order,
+//     searchIndex: items with a centroid, searchNames: upper-case name of each,
+//     nameIndex: search index items by grid name,
+//     hideUncovered: whether grids wholly in the no-coverage areas are left out of the map,
+//     noCoverageFractions: share of each feature without coverage, NaN until measured
+// }
+const grids = new Map();
+
+let noCoverage = null; // No-coverage areas cut into indexed pieces: { pieces, index }
+
+// Requests that do not work on a loaded grid
+const GRIDLESS_REQUESTS = new Set(['load', 'loadNoCoverage']);
+
+// Message handlers by request type; all but GRIDLESS_REQUESTS work on an already loaded grid
+const handlers = {
+    load: ({ system, url }) => loadGridData(system, url),
+    loadNoCoverage: ({ url, tolerance }) => loadNoCoverageData(url, tolerance),
+    noCoverage: ({ names }, grid) => getNoCoverageByName(grid, names),
+    hideUncovered: ({ hidden }, grid) => setHideUncovered(grid, hidden),
+    query: ({ bboxes }, grid) => queryGrids(grid, bboxes),
+    count: ({ bboxes }, grid) => countGrids(grid, bboxes),
+    search: ({ query, limit }, grid) => searchGrids(grid, query, limit),
+    getGrids: ({ names }, grid) => getGridsByName(grid, names),
+    tile: ({ z, x, y, tileSize, overlaps }, grid) => getGridTile(grid, z, x, y, tileSize, overlaps),
+    gridsAtPoint: ({ lat, lng }, grid) => findGridsAtPoint(grid, lat, lng),
+    intersect: ({ polygons }, grid) => findGridsIntersectingPolygons(grid, polygons),
+    gridsInRing: ({ ring }, grid) => findGridsInRing(grid, ring),
+    crossReference: ({ names, target }, grid) => crossReferenceGrids(grid, names, target)
+};
+
+self.onmessage = async function (e) {
+    const { id, type, system } = e.data;
+
+    try {
+        if (!handlers[type]) {
+            throw new Error(`Unknown request type: ${type}`);
+        }
+
+        const grid = grids.get(system);
+        if (!GRIDLESS_REQUESTS.has(type) && !grid) {
+            throw new Error(`Grid data for ${system} has not been loaded`);
+        }
+
+        const result = await handlers[type](e.data, grid);
+        self.postMessage({ id, result });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
+
+// Report loading progress of a grid system to the main thread
+function postProgress(system, stage, loaded = 0, total = 0) {
+    self.postMessage({ type: 'progress', system, stage, loaded, total });
+}
+
+// Load and index a grid system, from its GeoJSON file or built in code when it has none
+async function loadGridData(systemId, url) {
+    const system = getGridSystem(systemId);
+    const data = url ?
+        await downloadGridData(systemId, url) :
+        { type: 'FeatureCollection', features: system.createFeatures() };
+
+    console.log(`Loaded ${data.features.length} ${system.label}`);
+
+    postProgress(systemId, 'index');
+    const grid = { system, data };
+    buildGridIndex(grid);
+    buildSearchIndex(grid);
+    grids.set(systemId, grid);
+
+    return { count: data.features.length };
+}
+
+// Download and parse a grid GeoJSON file
+async function downloadGridData(systemId, url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    // Stream the download so progress can be reported
+    const total = Number(response.headers.get('Content-Length')) || 0;
+    const chunks = [];
+    let loaded = 0;
+
+    if (response.body) {
+        const reader = response.body.getReader();
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            chunks.push(value);
+            loaded += value.length;
+            postProgress(systemId, 'download', loaded, total);
+        }
+    } else {
+        chunks.push(new Uint8Array(await response.arrayBuffer()));
+    }
+
+    postProgress(systemId, 'parse');
+    return JSON.parse(await new Blob(chunks).text());
+}
+
+// Build spatial index over the bounding box of every grid part
+// Parts are indexed separately so antimeridian-split tiles get tight boxes
+function buildGridIndex(grid) {
+    const bboxes = [];
+    const featureIds = [];
+    const zones = [];
+    const bands = [];
+
+    grid.indexRings = [];
+
+    grid.data.features.forEach((feature, featureId) => {
+        const name = grid.system.getName(feature);
+        const zone = grid.system.getZone(name) || 0;
+        const band = MGRS_LATITUDE_BANDS.indexOf(grid.system.getBand(name)) + 1;
+
+        getGeometryPolygons(feature.geometry).forEach(polygon => {
+            if (!polygon[0] || polygon[0].length === 0) return;
+
+            const ring = unwrapRing(polygon[0]);
+            bboxes.push(getRingBBox(ring));
+            featureIds.push(featureId);
+            zones.push(zone);
+            bands.push(band);
+            grid.indexRings.push(ring);
+        });
+    });
+
+    grid.index = buildSpatialIndex(bboxes);
+    grid.indexFeatureIds = Uint32Array.from(featureIds);
+    grid.indexZones = Uint8Array.from(zones);
+    grid.indexBands = Uint8Array.from(bands);
+
+    console.log(`Built spatial index with ${bboxes.length} grid parts`);
+}
+
+// Build search index for quick grid lookup
+function buildSearchIndex(grid) {
+    grid.items = grid.data.features.map((feature, featureId) => {
+        const name = grid.system.getName(feature);
+        const centroid = getGeometryCentroid(feature.geometry);
+        return {
+            name: name.toUpperCase(),
+            originalName: name,
+            featureId: featureId,
+            feature: feature,
+            centroid: centroid
+        };
+    });
+
+    grid.searchIndex = grid.items.filter(item => item.centroid !== null);
+    grid.searchNames = grid.searchIndex.map(item => item.name);
+    grid.nameIndex = new Map(grid.searchIndex.map(item => [item.originalName, item]));
+
+    console.log(`Built search index with ${grid.searchIndex.length} grids`);
+}
+
+// Find ids of grid features with a part whose bounding box intersects a bounding box
+function findGridIdsInBBox(grid, bbox) {
+    return searchSpatialIndex(grid.index, bbox).map(itemId => grid.indexFeatureIds[itemId]);
+}
+
+// Convert a search index item to the shape sent to the main thread
+function toGridResult(item) {
+    return { name: item.originalName, feature: item.feature, centroid: item.centroid };
+}
+
+// Find ids of the shown grid features intersecting any of the bounding boxes, in feature order
+function findShownGridIds(grid, bboxes) {
+    const featureIds = new Set();
+
+    bboxes.forEach(bbox => {
+        findGridIdsInBBox(grid, bbox).forEach(featureId => featureIds.add(featureId));
+    });
+
+    return Array.from(featureIds)
+        .filter(featureId => !isGridHidden(grid, featureId))
+        .sort((a, b) => a - b);
+}
+
+// Get grids intersecting any of the bounding boxes, in feature order
+function queryGrids(grid, bboxes) {
+    return findShownGridIds(grid, bboxes).map(featureId => toGridResult(grid.items[featureId]));
+}
+
+// Count the grids intersecting any of the bounding boxes, without sending their features
+function countGrids(grid, bboxes) {
+    return findShownGridIds(grid, bboxes).length;
+}
+
+// Rank grids against a name query, with the matched spans of each name and the total match count
+function searchGrids(grid, query, limit) {
+    const { results, total } = searchTileNames(grid.searchNames, query, limit);
+
+    return {
+        results: results.map(result => {
+            const item = grid.searchIndex[result.index];
+            return { name: item.originalName, centroid: item.centroid, ranges: result.ranges };
+        }),
+        total
+    };
+}
+
+// Look up grids by exact name, skipping unknown names
+function getGridsByName(grid, names) {
+    return names
+        .map(name => grid.nameIndex.get(name))
+        .filter(item => item !== undefined)
+        .map(toGridResult);
+}
+
+// Project a longitude/latitude to Web Mercator pixels in a world of the given size
+function projectToWorldPixels(lng, lat, worldSize) {
+    const clampedLat = Math.max(-MAX_MERCATOR_LATITUDE, Math.min(MAX_MERCATOR_LATITUDE, lat));
+    const sinLat = Math.sin(clampedLat * Math.PI / 180);
+
+    return [
+        (lng + 180) / 360 * worldSize,
+        (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI)) * worldSize
+    ];
+}
+
+// Convert Web Mercator pixels back to a latitude
+function worldPixelsToLatitude(y, worldSize) {
+    const mercatorY = Math.PI * (1 - 2 * y / worldSize);
+    return Math.atan(Math.sinh(mercatorY)) * 180 / Math.PI;
+}
+
+// Get the outlines of the grid parts in a map tile, projected to tile pixels
+// Returns flat coordinates with the start of each ring and its UTM zone and latitude band for colouring,
+// plus the areas where neighbouring parts overlap when overlaps is set
+function getGridTile(grid, z, x, y, tileSize, overlaps = false) {
+    const worldSize = tileSize * Math.pow(2, z);
+    const buffer = 2; // Pixels, so outlines on the tile edge are not cut off
+    const originX = x * tileSize;
+    const originY = y * tileSize;
+
+    const bbox = [
+        (originX - buffer) / worldSize * 360 - 180,
+        worldPixelsToLatitude(originY + tileSize + buffer, worldSize),
+        (originX + tileSize + buffer) / worldSize * 360 - 180,
+        worldPixelsToLatitude(originY - buffer, worldSize)
+    ];
+
+    const outlines = { coords: [], ringStarts: [] };
+    const overlapRings = { coords: [], ringStarts: [] };
+    const zones = [];
+    const bands = [];
+
+    // Parts that sit across the antimeridian are indexed east of 180°, so check the world copies too
+    [-360, 0, 360].forEach(lngOffset => {
+        const shiftedBBox = [bbox[0] - lngOffset, bbox[1], bbox[2] - lngOffset, bbox[3]];
+        const project = coord => {
+            const point = projectToWorldPixels(coord[0] + lngOffset, coord[1], worldSize);
+            return [point[0] - originX, point[1] - originY];
+        };
+        const seenPairs = new Set();
+
+        searchSpatialIndex(grid.index, shiftedBBox).forEach(itemId => {
+            if (isGridHidden(grid, grid.indexFeatureIds[itemId])) return;
+
+            if (addTileRing(outlines, grid.indexRings[itemId], project)) {
+                zones.push(grid.indexZones[itemId]);
+                bands.push(grid.indexBands[itemId]);
+            }
+
+            if (overlaps) {
+                getOverlapRings(grid, itemId, seenPairs).forEach(ring => addTileRing(overlapRings, ring, project));
+            }
+        });
+    });
+
+    return {
+        coords: Float32Array.from(outlines.coords),
+        ringStarts: Uint32Array.from(outlines.ringStarts),
+        zones: Uint8Array.from(zones),
+        bands: Uint8Array.from(bands),
+        overlapCoords: Float32Array.from(overlapRings.coords),
+        overlapRingStarts: Uint32Array.from(overlapRings.ringStarts)
+    };
+}
+
+// Project a ring into a tile's flat coordinates, returning false if it collapses to nothing
+function addTileRing(target, ring, project) {
+    const start = target.coords.length;
+    let lastX = null;
+    let lastY = null;
+
+    ring.forEach(coord => {
+        const [pixelX, pixelY] = project(coord);
+
+        // Skip points that would land on the same half pixel
+        if (lastX !== null && Math.abs(pixelX - lastX) < 0.5 && Math.abs(pixelY - lastY) < 0.5) return;
+
+        target.coords.push(pixelX, pixelY);
+        lastX = pixelX;
+        lastY = pixelY;
+    });
+
+    if (target.coords.length - start < 6) {
+        target.coords.length = start;
+        return false;
+    }
+
+    target.ringStarts.push(start / 2);
+    return true;
+}
+
+// Get the areas where a grid part overlaps parts of other grids, each pair only once
+function getOverlapRings(grid, itemId, seenPairs) {
+    const ring = grid.indexRings[itemId];
+    const bbox = getRingBBox(ring);
+    const overlapRings = [];
+
+    // Neighbours across the antimeridian are indexed in the other world copy
+    const lngOffsets = [0];
+    if (bbox[2] > 180) lngOffsets.push(360);
+    if (bbox[0] < -180) lngOffsets.push(-360);
+
+    lngOffsets.forEach(lngOffset => {
+        searchSpatialIndex(grid.index, [bbox[0] - lngOffset, bbox[1], bbox[2] - lngOffset, bbox[3]]).forEach(otherId => {
+            if (grid.indexFeatureIds[otherId] === grid.indexFeatureIds[itemId]) return;
+
+            const pairKey = itemId < otherId ? `${itemId}:${otherId}` : `${otherId}:${itemId}`;
+            if (seenPairs.has(pairKey)) return;
+            seenPairs.add(pairKey);
+
+            const overlap = clipRingToConvexRing(ring, offsetRing(grid.indexRings[otherId], lngOffset));
+            if (overlap.length >= 3 && Math.abs(getRingSignedArea(overlap)) > 1e-9) {
+                overlapRings.push(overlap);
+            }
+        });
+    });
+
+    return overlapRings;
+}
+
+// Find grids containing a point, sorted so the grid holding it most centrally comes first
+// Each result carries edgeDistance, the distance in metres from the point to the grid's nearest edge
+function findGridsAtPoint(grid, lat, lng) {
+    const edgeDistances = new Map(); // Feature id -> distance to the nearest edge
+
+    [-360, 0, 360].forEach(lngOffset => {
+        const point = [lng - lngOffset, lat];
+
+        searchSpatialIndex(grid.index, [point[0], point[1], point[0], point[1]]).forEach(itemId => {
+            const ring = grid.indexRings[itemId];
+            const featureId = grid.indexFeatureIds[itemId];
+            if (!isPointInRing(point, ring) || isGridHidden(grid, featureId)) return;
+
+            const distance = getEdgeDistance(grid.items[featureId].originalName, point, ring);
+            edgeDistances.set(featureId, Math.max(edgeDistances.get(featureId) || 0, distance));
+        });
+    });
+
+    return Array.from(edgeDistances.entries())
+        .sort((a, b) => b[1] - a[1])
+        .map(([featureId, edgeDistance]) => ({ ...toGridResult(grid.items[featureId]), edgeDistance }));
+}
+
+// Distance in metres from a point to the nearest edge of a grid ring
+// Sentinel-2 tiles are squares in their own UTM zone, so measure there when the name is an MGRS tile ID
+function getEdgeDistance(gridName, point, ring) {
+    const parts = parseTileId(gridName);
+    let project;
+
+    if (parts) {
+        project = coord => {
+            const utm = latLngToUtm(coord[1], coord[0], parts.zone, parts.hemisphere);
+            return [utm.easting, utm.northing];
+        };
+    } else {
+        // Local equirectangular approximation around the point
+        const metresPerDegree = 111320;
+        const lngScale = Math.cos(point[1] * Math.PI / 180) * metresPerDegree;
+        project = coord => [coord[0] * lngScale, coord[1] * metresPerDegree];
+    }
+
+    return getPointToRingDistance(project(point), ring.map(project));
+}
+
+// Find grids whose geometry intersects polygons, with the share of the polygons each covers
+function findGridsIntersectingPolygons(grid, polygons) {
+    const totalArea = polygons.reduce((total, polygon) => total + getPolygonArea(polygon), 0);
+    const polygonBBoxes = polygons.map(polygon => getRingBBox(polygon[0]));
+    const candidateIds = new Set();
+    const results = [];
+
+    // Check the neighbouring world copies for polygons that cross the antimeridian
+    polygonBBoxes.forEach(bbox => {
+        [-360, 0, 360].forEach(lngOffset => {
+            findGridIdsInBBox(grid, [bbox[0] + lngOffset, bbox[1], bbox[2] + lngOffset, bbox[3]])
+                .forEach(featureId => candidateIds.add(featureId));
+        });
+    });
+
+    candidateIds.forEach(featureId => {
+        const feature = grid.data.features[featureId];
+        let intersectionArea = 0;
+
+        // Each tile part is convex, so the polygons can be clipped against it directly
+        getGeometryPolygons(feature.geometry).forEach(part => {
+            const tileRing = part[0];
+            if (!tileRing || tileRing.length < 4) return;
+
+            const tileBBox = getRingBBox(tileRing);
+
+            [-360, 0, 360].forEach(lngOffset => {
+                const shiftedBBox = [tileBBox[0] + lngOffset, tileBBox[1], tileBBox[2] + lngOffset, tileBBox[3]];
+
+                polygons.forEach((polygon, index) => {
+                    if (!bboxesIntersect(polygonBBoxes[index], shiftedBBox)) return;
+                    intersectionArea += getPolygonIntersectionArea(polygon, offsetRing(tileRing, lngOffset));
+                });
+            });
+        });
+
+        if (intersectionArea > 0) {
+            results.push({
+                name: grid.items[featureId].originalName,
+                feature: feature,
+                coverage: totalArea > 0 ? Math.min(intersectionArea / totalArea, 1) : 0
+            });
+        }
+    });
+
+    return results.sort((a, b) => b.coverage - a.coverage || a.name.localeCompare(b.name));
+}
+
+// Find grids whose centroid falls inside a ring
+function findGridsInRing(grid, ring) {
+    const bbox = getRingBBox(ring);
+
+    return grid.searchIndex.filter(item => {
+        const { lat, lng } = item.centroid;
+
+        // The ring may cross the antimeridian
+        return [-360, 0, 360].some(lngOffset => {
+            const point = [lng + lngOffset, lat];
+            return bboxesIntersect(bbox, [point[0], point[1], point[0], point[1]]) && isPointInRing(point, ring);
+        });
+    }).map(toGridResult);
+}
+
+// List the grids of another system that each named grid intersects, with the share of each grid they overlap
+// Names are looked up in the search index, and unknown names come back with found set to false
+function crossReferenceGrids(grid, names, targetSystemId) {
+    const target = grids.get(targetSystemId);
+    if (!target) {
+        throw new Error(`Grid data for ${targetSystemId} has not been loaded`);
+    }
+
+    return names.map(name => {
+        const item = grid.nameIndex.get(name);
+        if (!item) return { name, found: false, matches: [] };
+
+        const polygons = getGeometryPolygons(item.feature.geometry).filter(polygon => polygon[0] && polygon[0].length >= 4);
+        const sourceArea = polygons.reduce((total, polygon) => total + getPolygonArea(polygon), 0);
+
+        const matches = findGridsIntersectingPolygons(target, polygons).map(result => {
+            const targetArea = getGeometryPolygons(result.feature.geometry)
+                .reduce((total, polygon) => total + getPolygonArea(polygon), 0);
+
+            return {
+                name: result.name,
+                sourceOverlap: result.coverage,
+                targetOverlap: targetArea > 0 ? Math.min(result.coverage * sourceArea / targetArea, 1) : 0
+            };
+        }).filter(match => match.sourceOverlap > 0.001 || match.targetOverlap > 0.001); // Grids that only share an edge
+
+        return { name, found: true, matches };
+    });
+}
+
+// Load the no-coverage areas and cut them into indexed pieces for measuring
+// Resolves to their dissolved, simplified geometry for display, or null if there is no file
+async function loadNoCoverageData(url, tolerance) {
+    const response = await fetch(url);
+    if (!response.ok) return null;
+
+    const data = await response.json();
+    const { geometry, polygons } = dissolveNoCoverageAreas(data, tolerance);
+    const pieces = cutNoCoveragePieces(polygons);
+
+    noCoverage = { pieces, index: buildSpatialIndex(pieces.map(piece => piece.bbox)) };
+    grids.forEach(grid => { grid.noCoverageFractions = null; });
+
+    console.log(`Cut ${polygons.length} no-coverage polygons into ${pieces.length} indexed pieces`);
+
+    return {
+        geometry,
+        polygonCount: polygons.length,
+        vertexCount: geometry.coordinates.reduce((total, polygon) =>
+            polygon.reduce((polygonTotal, ring) => polygonTotal + ring.length, total), 0)
+    };
+}
+
+// Get the share of a feature's footprint without coverage, measured once and cached
+// Returns null while the no-coverage areas are not loaded
+function getGridNoCoverage(grid, featureId) {
+    if (!noCoverage) return null;
+
+    if (!grid.noCoverageFractions) {
+        grid.noCoverageFractions = new Float32Array(grid.items.length).fill(NaN);
+    }
+
+    if (isNaN(grid.noCoverageFractions[featureId])) {
+        grid.noCoverageFractions[featureId] = getNoCoverageFraction(noCoverage, grid.items[featureId].feature.geometry);
+    }
+
+    return grid.noCoverageFractions[featureId];
+}
+
+// Get the share of each named grid without coverage as [{ name, fraction }], with null fractions for unknown names
+function getNoCoverageByName(grid, names) {
+    return names.map(name => {
+        const item = grid.nameIndex.get(name);
+        return { name, fraction: item ? getGridNoCoverage(grid, item.featureId) : null };
+    });
+}
+
+// Hide or show grids lying wholly in the no-coverage areas
+function setHideUncovered(grid, hidden) {
+    grid.hideUncovered = hidden;
+    return { hidden };
+}
+
+// Whether a grid is left out of the map because it lies wholly in the no-coverage areas
+function isGridHidden(grid, featureId) {
+    if (!grid.hideUncovered) return false;
+
+    const fraction = getGridNoCoverage(grid, featureId);
+    return fraction !== null && fraction >= FULLY_UNCOVERED;
+}
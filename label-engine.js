@@ -0,0 +1,179 @@
+// Grid label placement: labels are measured with the font they are drawn in, kept inside their own tile
+// where they fit, and checked for collisions against a screen-space grid of the labels already placed
+
+const LABEL_FONT = '600 11px -apple-system, BlinkMacSystemFont, \'Segoe UI\', Roboto, sans-serif'; // As .grid-label span
+const LABEL_PADDING_X = 7; // Padding and border either side of the text, as .grid-label span
+const LABEL_HEIGHT = 19; // Line height, padding and border of .grid-label span
+const LABEL_CELL_SIZE = 64; // Pixel size of the collision grid cells
+
+// Label centres tried in turn, as fractions of the label size away from the tile centroid
+const LABEL_OFFSETS = [
+    [0, 0],
+    [0, -1], [0, 1],
+    [-0.6, 0], [0.6, 0],
+    [-0.6, -1], [0.6, -1], [-0.6, 1], [0.6, 1]
+];
+
+let labelTextWidths = new Map(); // Label text -> measured width in pixels, including padding
+let labelMeasureContext = null; // Canvas context used to measure label text
+let gridZoneCentres = null; // Grid zone name (e.g. 32V) -> [lng, lat] of its centre
+
+// Work out where to put the labels of the grids in view, most important first
+// Returns { name, latlng } for each label that fits, with latlng at the label's top left corner
+function placeGridLabels(grids) {
+    const spacing = getLabelSpacing(map.getZoom());
+    const size = map.getSize();
+    const referenceLng = map.getCenter().lng;
+    const labelGrid = new Map();
+    const placed = [];
+
+    grids
+        .filter(grid => grid.centroid)
+        .map(grid => ({ grid, priority: getLabelPriority(grid) }))
+        .sort((a, b) => a.priority - b.priority || a.grid.name.localeCompare(b.grid.name))
+        .forEach(({ grid }) => {
+            // Place the label on the copy of the world in view, for tiles near the antimeridian
+            const lng = wrapLngNear(grid.centroid.lng, referenceLng);
+            const centre = map.latLngToContainerPoint([grid.centroid.lat, lng]);
+            const width = measureLabelText(grid.name);
+            if (centre.x + width < 0 || centre.x - width > size.x || centre.y + LABEL_HEIGHT < 0 || centre.y - LABEL_HEIGHT > size.y) {
+                return;
+            }
+
+            const rings = getTileContainerRings(grid.feature, lng);
+            const box = findLabelBox(labelGrid, centre, width, rings, spacing);
+            if (!box) return;
+
+            addLabelBox(labelGrid, box);
+            placed.push({ name: grid.name, latlng: map.containerPointToLatLng([box.left, box.top]) });
+        });
+
+    return placed;
+}
+
+// Find a free box for a label, preferring positions wholly inside its tile
+// Tiles too small to hold the label at all get it centred on them instead
+function findLabelBox(labelGrid, centre, width, rings, spacing) {
+    let fitsTile = false;
+
+    for (const [dx, dy] of LABEL_OFFSETS) {
+        const box = getLabelBox(centre.x + dx * width, centre.y + dy * LABEL_HEIGHT, width);
+        if (!isBoxInsideRings(box, rings)) continue;
+
+        fitsTile = true;
+        if (!labelBoxCollides(labelGrid, box, spacing)) return box;
+    }
+
+    if (fitsTile) return null;
+
+    const box = getLabelBox(centre.x, centre.y, width);
+    return labelBoxCollides(labelGrid, box, spacing) ? null : box;
+}
+
+// Get the screen box of a label centred on a point
+function getLabelBox(x, y, width) {
+    return {
+        left: x - width / 2,
+        top: y - LABEL_HEIGHT / 2,
+        right: x + width / 2,
+        bottom: y + LABEL_HEIGHT / 2
+    };
+}
+
+// Measure the width of a label, caching it since tile names repeat on every redraw
+function measureLabelText(text) {
+    if (!labelTextWidths.has(text)) {
+        if (!labelMeasureContext) {
+            labelMeasureContext = document.createElement('canvas').getContext('2d');
+            labelMeasureContext.font = LABEL_FONT;
+        }
+        labelTextWidths.set(text, Math.ceil(labelMeasureContext.measureText(text).width) + LABEL_PADDING_X * 2);
+    }
+
+    return labelTextWidths.get(text);
+}
+
+// Get the least gap in pixels between labels at a zoom level
+function getLabelSpacing(zoom) {
+    const levels = Object.keys(CONFIG.labelSpacing).map(Number).filter(level => level <= zoom);
+    return levels.length > 0 ? CONFIG.labelSpacing[Math.max(...levels)] : 0;
+}
+
+// Rank a grid for labelling, lower first: the selected tile, then working set tiles,
+// then every other tile by its distance in degrees from the centre of its grid zone,
+// so zoomed-out views label the middle of each zone and fill in outwards as space allows
+function getLabelPriority(grid) {
+    if (grid.name === highlightedGridName || (selectedGrid && getGridName(selectedGrid) === grid.name)) {
+        return 0;
+    }
+
+    const tier = workingSet.has(grid.name) ? 1000 : 2000;
+    const zoneCentre = getGridZoneCentres().get(grid.name.slice(0, 3));
+    if (!zoneCentre) return tier + 999;
+
+    const dx = (grid.centroid.lng - zoneCentre[0]) * Math.cos(grid.centroid.lat * Math.PI / 180);
+    const dy = grid.centroid.lat - zoneCentre[1];
+    return tier + Math.sqrt(dx * dx + dy * dy);
+}
+
+// Get the centres of the MGRS grid zones, built on first use
+function getGridZoneCentres() {
+    if (!gridZoneCentres) {
+        gridZoneCentres = new Map(getMgrsGridZones().map(gridZone => {
+            const [west, south, east, north] = gridZone.bounds;
+            return [gridZone.name, [(west + east) / 2, (south + north) / 2]];
+        }));
+    }
+
+    return gridZoneCentres;
+}
+
+// Project a tile's outer rings to screen points, on the same copy of the world as its label
+// Parts split at the antimeridian end up side by side
+function getTileContainerRings(feature, referenceLng) {
+    return getGeometryPolygons(feature.geometry).map(polygon => polygon[0].map(([lng, lat]) => {
+        const point = map.latLngToContainerPoint([lat, wrapLngNear(lng, referenceLng)]);
+        return [point.x, point.y];
+    }));
+}
+
+// Whether every corner of a box lies inside one of the rings
+function isBoxInsideRings(box, rings) {
+    return [[box.left, box.top], [box.right, box.top], [box.right, box.bottom], [box.left, box.bottom]]
+        .every(corner => rings.some(ring => isPointInRing(corner, ring)));
+}
+
+// Get the keys of the collision grid cells a box touches
+function getLabelCellKeys(box) {
+    const keys = [];
+
+    for (let column = Math.floor(box.left / LABEL_CELL_SIZE); column <= Math.floor(box.right / LABEL_CELL_SIZE); column++) {
+        for (let row = Math.floor(box.top / LABEL_CELL_SIZE); row <= Math.floor(box.bottom / LABEL_CELL_SIZE); row++) {
+            keys.push(`${column},${row}`);
+        }
+    }
+
+    return keys;
+}
+
+// Whether a box, grown by the spacing, overlaps any label already placed
+function labelBoxCollides(labelGrid, box, spacing) {
+    const grown = {
+        left: box.left - spacing,
+        top: box.top - spacing,
+        right: box.right + spacing,
+        bottom: box.bottom + spacing
+    };
+
+    return getLabelCellKeys(grown).some(key => (labelGrid.get(key) || []).some(other =>
+        grown.left < other.right && grown.right > other.left && grown.top < other.bottom && grown.bottom > other.top
+    ));
+}
+
+// Record a placed label in every cell it touches
+function addLabelBox(labelGrid, box) {
+    getLabelCellKeys(box).forEach(key => {
+        if (!labelGrid.has(key)) labelGrid.set(key, []);
+        labelGrid.get(key).push(box);
+    });
+}
@@ -0,0 +1,351 @@
+// Layer manager: base layers and overlays from a JSON config, plus custom XYZ/WMS layers saved in the browser
+// Its panel also holds the option to hide tiles outside Sentinel-2 coverage
+
+const CUSTOM_LAYERS_STORAGE_KEY = 's2-grid-explorer.custom-layers';
+
+// Layers used when the layer config cannot be loaded
+const DEFAULT_LAYER_CONFIG = {
+    baseLayers: [
+        {
+            id: 'satellite',
+            name: 'Satellite',
+            type: 'xyz',
+            url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+            attribution: 'Source: Esri, Maxar, Earthstar Geographics, and the GIS User Community',
+            maxZoom: 19,
+            noCoverageStyle: 'imagery',
+            default: true
+        },
+        {
+            id: 'openstreetmap',
+            name: 'OpenStreetMap',
+            type: 'xyz',
+            url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+            attribution: '© OpenStreetMap contributors',
+            maxZoom: 19,
+            noCoverageStyle: 'map'
+        }
+    ],
+    overlays: []
+};
+
+let managedLayers = new Map(); // Layer id -> { config, layer, base, custom }
+let customLayerConfigs = []; // Layers the user added, as saved in localStorage
+
+// Setup the layer control button and panel, then load the configured and custom layers
+async function setupLayerManager() {
+    const layerManagerControl = L.control({ position: 'topleft' });
+    layerManagerControl.onAdd = function () {
+        const container = L.DomUtil.create('div', 'leaflet-bar layer-manager-control');
+        container.innerHTML = '<a href="#" title="Add map layers" role="button">&#9783;</a>';
+
+        L.DomEvent.disableClickPropagation(container);
+        L.DomEvent.on(container.querySelector('a'), 'click', function (e) {
+            L.DomEvent.preventDefault(e);
+            displayCustomLayers();
+            showPanel('layer-panel');
+        });
+
+        return container;
+    };
+    layerManagerControl.addTo(map);
+
+    document.getElementById('layer-form').addEventListener('submit', function (e) {
+        e.preventDefault();
+        addCustomLayer();
+    });
+
+    document.getElementById('hide-uncovered-tiles').addEventListener('change', function () {
+        setHideUncoveredTiles(this.checked);
+    });
+
+    // Only WMS sources need layer names, and only base layers need a no-coverage style
+    document.getElementById('layer-type').addEventListener('change', updateLayerForm);
+    document.getElementById('layer-role').addEventListener('change', updateLayerForm);
+    updateLayerForm();
+
+    const layerConfig = await loadLayerConfig();
+    customLayerConfigs = loadCustomLayers();
+
+    [...layerConfig.baseLayers.map(config => ({ ...config, base: true })),
+        ...(layerConfig.overlays || []),
+        ...customLayerConfigs].forEach(config => {
+        try {
+            addManagedLayer(config, customLayerConfigs.includes(config));
+        } catch (error) {
+            console.warn(`Skipping layer ${config.name || config.id}:`, error);
+        }
+    });
+
+    // Show the base layer named in the URL, else the configured default
+    const requested = managedLayers.get(parsePermalink(window.location.hash).base);
+    const baseLayers = Array.from(managedLayers.values()).filter(entry => entry.base);
+    const initial = requested && requested.base ? requested :
+        baseLayers.find(entry => entry.config.default) || baseLayers[0];
+
+    if (initial) {
+        initial.layer.addTo(map);
+    }
+
+    displayCustomLayers();
+}
+
+// Load the layer config, falling back to the built-in base layers
+async function loadLayerConfig() {
+    try {
+        const response = await fetch(CONFIG.layersPath);
+        if (!response.ok) {
+            console.warn('Layer config not found, continuing with the built-in base layers');
+            return DEFAULT_LAYER_CONFIG;
+        }
+
+        const layerConfig = await response.json();
+        if (!Array.isArray(layerConfig.baseLayers) || layerConfig.baseLayers.length === 0) {
+            throw new Error('the config has no base layers');
+        }
+
+        return layerConfig;
+    } catch (error) {
+        console.warn('Error loading layer config, continuing with the built-in base layers:', error);
+        return DEFAULT_LAYER_CONFIG;
+    }
+}
+
+// Read the custom layers saved in a previous session
+function loadCustomLayers() {
+    try {
+        return JSON.parse(localStorage.getItem(CUSTOM_LAYERS_STORAGE_KEY)) || [];
+    } catch (error) {
+        console.warn('Could not read saved custom layers:', error);
+        return [];
+    }
+}
+
+// Save the custom layers for the next session
+function saveCustomLayers() {
+    try {
+        localStorage.setItem(CUSTOM_LAYERS_STORAGE_KEY, JSON.stringify(customLayerConfigs));
+    } catch (error) {
+        console.warn('Could not save custom layers:', error);
+    }
+}
+
+// Create a layer from its config and add it to the layer control
+function addManagedLayer(config, custom = false) {
+    if (!config.id || managedLayers.has(config.id)) {
+        throw new Error(`Layer id "${config.id}" is missing or already used`);
+    }
+
+    const layer = createTileSource(config);
+    const entry = { config, layer, base: Boolean(config.base), custom };
+    managedLayers.set(config.id, entry);
+
+    if (entry.base) {
+        map.baseLayers[config.id] = layer;
+        map.layerControl.addBaseLayer(layer, escapeHtml(config.name));
+
+        // Restyle the no-coverage areas to suit whichever base layer is shown, and let the service worker know it
+        layer.on('add', function () {
+            currentBaseLayer = config.id;
+            updateNoCoverageStyle();
+            postBaseLayerToServiceWorker();
+        });
+    } else {
+        map.layerControl.addOverlay(layer, escapeHtml(config.name));
+        if (config.visible) {
+            layer.addTo(map);
+        }
+    }
+
+    return entry;
+}
+
+// Create a Leaflet tile layer for an XYZ, WMS or WMTS source
+function createTileSource(config) {
+    if (!config.url) {
+        throw new Error('No URL given');
+    }
+
+    const options = {
+        attribution: config.attribution || '',
+        maxZoom: config.maxZoom || CONFIG.mapOptions.maxZoom
+    };
+    if (config.maxNativeZoom) options.maxNativeZoom = config.maxNativeZoom;
+    if (config.subdomains) options.subdomains = config.subdomains;
+    if (config.opacity !== undefined) options.opacity = config.opacity;
+
+    // Overlays are drawn above every base layer
+    if (!config.base) options.zIndex = 10;
+
+    switch (config.type) {
+        case 'xyz':
+            return L.tileLayer(config.url, options);
+        case 'wms':
+            if (!config.layers) {
+                throw new Error('WMS sources need layer names');
+            }
+            return L.tileLayer.wms(config.url, {
+                ...options,
+                layers: config.layers,
+                styles: config.styles || '',
+                format: config.format || 'image/png',
+                transparent: config.transparent !== undefined ? config.transparent : !config.base,
+                version: config.version || '1.1.1'
+            });
+        case 'wmts':
+            return L.tileLayer(getWmtsTileUrl(config), options);
+        default:
+            throw new Error(`Unknown layer type: ${config.type}`);
+    }
+}
+
+// Build a tile URL template for a WMTS GetTile request (key-value encoding)
+// RESTful WMTS endpoints can be added as XYZ sources with {z}/{y}/{x} in the URL instead
+function getWmtsTileUrl(config) {
+    if (!config.layer || !config.tileMatrixSet) {
+        throw new Error('WMTS sources need a layer and a tile matrix set');
+    }
+
+    const params = [
+        'SERVICE=WMTS',
+        'REQUEST=GetTile',
+        'VERSION=1.0.0',
+        `LAYER=${encodeURIComponent(config.layer)}`,
+        `STYLE=${encodeURIComponent(config.style || 'default')}`,
+        `TILEMATRIXSET=${encodeURIComponent(config.tileMatrixSet)}`,
+        `FORMAT=${encodeURIComponent(config.format || 'image/png')}`,
+        `TILEMATRIX=${config.tileMatrixPrefix || ''}{z}`,
+        'TILEROW={y}',
+        'TILECOL={x}'
+    ];
+
+    return `${config.url}${config.url.includes('?') ? '&' : '?'}${params.join('&')}`;
+}
+
+// Get the config of a layer by id, or null
+function getManagedLayerConfig(layerId) {
+    const entry = managedLayers.get(layerId);
+    return entry ? entry.config : null;
+}
+
+// Add the layer described in the panel form, show it and save it
+function addCustomLayer() {
+    const role = document.getElementById('layer-role').value;
+    const config = {
+        id: `custom-${Date.now()}`,
+        name: document.getElementById('layer-name').value.trim(),
+        type: document.getElementById('layer-type').value,
+        url: document.getElementById('layer-url').value.trim(),
+        layers: document.getElementById('layer-wms-layers').value.trim(),
+        attribution: document.getElementById('layer-attribution').value.trim(),
+        maxZoom: Number(document.getElementById('layer-max-zoom').value) || CONFIG.mapOptions.maxZoom,
+        base: role === 'base',
+        noCoverageStyle: document.getElementById('layer-background').value
+    };
+
+    if (!config.name) {
+        setLayerStatus('Enter a name for the layer');
+        return;
+    }
+
+    let entry;
+    try {
+        entry = addManagedLayer(config, true);
+    } catch (error) {
+        setLayerStatus(`Could not add the layer: ${error.message}`);
+        return;
+    }
+
+    customLayerConfigs.push(config);
+    saveCustomLayers();
+
+    if (entry.base) {
+        switchBaseLayer(config.id);
+    } else {
+        entry.layer.addTo(map);
+    }
+
+    document.getElementById('layer-form').reset();
+    updateLayerForm();
+    setLayerStatus(`Added ${config.name}`);
+    displayCustomLayers();
+}
+
+// Remove a custom layer from the map, the layer control and storage
+function removeCustomLayer(layerId) {
+    const entry = managedLayers.get(layerId);
+    if (!entry || !entry.custom) return;
+
+    const wasShown = map.hasLayer(entry.layer);
+    map.removeLayer(entry.layer);
+    map.layerControl.removeLayer(entry.layer);
+    managedLayers.delete(layerId);
+
+    if (entry.base) {
+        delete map.baseLayers[layerId];
+
+        // Fall back to the default base layer rather than leaving the map blank
+        if (wasShown) {
+            const fallback = Array.from(managedLayers.values()).filter(item => item.base);
+            const next = fallback.find(item => item.config.default) || fallback[0];
+            if (next) switchBaseLayer(next.config.id);
+        }
+    }
+
+    customLayerConfigs = customLayerConfigs.filter(config => config.id !== layerId);
+    saveCustomLayers();
+    displayCustomLayers();
+}
+
+// Show a base layer in place of the current one
+// Only the layer control fires baselayerchange, so the permalink is updated here; it skips updates while
+// the URL is being restored, so switching to the layer named in the URL is not written back
+function switchBaseLayer(layerId) {
+    const layer = map.baseLayers[layerId];
+    if (!layer || map.hasLayer(layer)) return;
+
+    Object.values(map.baseLayers).forEach(baseLayer => map.removeLayer(baseLayer));
+    layer.addTo(map);
+    updatePermalink();
+}
+
+// List the custom layers in the panel
+function displayCustomLayers() {
+    const list = document.getElementById('custom-layer-list');
+
+    if (customLayerConfigs.length === 0) {
+        list.innerHTML = '<div class="no-results">No custom layers yet</div>';
+        return;
+    }
+
+    list.innerHTML = customLayerConfigs.map(config => `
+        <div class="tile-list-item" data-layer="${escapeHtml(config.id)}" title="${escapeHtml(config.url)}">
+            <span class="tile-list-name">${escapeHtml(config.name)}</span>
+            <span class="tile-list-value">${config.type.toUpperCase()} ${config.base ? 'base layer' : 'overlay'}</span>
+            <button class="tile-list-remove" type="button" title="Remove layer">&times;</button>
+        </div>
+    `).join('');
+
+    list.querySelectorAll('.tile-list-item').forEach(element => {
+        element.querySelector('.tile-list-remove').addEventListener('click', function (e) {
+            e.stopPropagation();
+            removeCustomLayer(element.dataset.layer);
+        });
+    });
+}
+
+// Show the form fields that apply to the chosen source type and role
+function updateLayerForm() {
+    const isWms = document.getElementById('layer-type').value === 'wms';
+    const isBase = document.getElementById('layer-role').value === 'base';
+
+    document.getElementById('layer-wms-field').classList.toggle('hidden', !isWms);
+    document.getElementById('layer-background-field').classList.toggle('hidden', !isBase);
+    document.getElementById('layer-url').placeholder = isWms ?
+        'https://example.com/wms' : 'https://example.com/tiles/{z}/{x}/{y}.png';
+}
+
+// Show a status message in the layer panel
+function setLayerStatus(message) {
+    document.getElementById('layer-status').textContent = message;
+}
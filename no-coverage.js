@@ -0,0 +1,82 @@
+// Sentinel-2 no-coverage areas: dissolved into one multipolygon with simplified outlines for display,
+// and cut into small indexed pieces so the share of a tile without coverage can be measured quickly
+// Kept free of Leaflet and DOM references so the worker can use it
+
+const NO_COVERAGE_PIECE_VERTICES = 64; // Pieces are cut until they have at most this many vertices
+const FULLY_UNCOVERED = 0.999; // Share of a tile without coverage above which it counts as wholly outside
+
+// Dissolve the polygons of every feature, such as the cells of a polygonised raster, into one part per
+// connected region, and gather them into one MultiPolygon with simplified outlines
+// Returns the simplified geometry for display and the dissolved polygons for measuring
+function dissolveNoCoverageAreas(data, tolerance) {
+    const features = data.type === 'FeatureCollection' ? data.features : [data];
+    const polygons = dissolvePolygons(features.flatMap(feature => getGeometryPolygons(feature.geometry || feature))
+        .filter(polygon => polygon[0] && polygon[0].length >= 4));
+
+    // Small rings would vanish when simplified, so they are kept as they are
+    const simplifiedPolygons = polygons.map(polygon => polygon
+        .map(ring => simplifyRing(ring, tolerance) || (ring.length >= 4 ? ring : null))
+        .filter(ring => ring !== null));
+
+    return {
+        geometry: { type: 'MultiPolygon', coordinates: simplifiedPolygons },
+        polygons
+    };
+}
+
+// Cut polygons into pieces ({ polygon, bbox }) by halving their bounding boxes until each piece is small
+// Clipping to each half keeps the area inside it exactly, so the pieces' areas add up to the polygons'
+function cutNoCoveragePieces(polygons) {
+    const pieces = [];
+    const stack = polygons.slice();
+
+    while (stack.length > 0) {
+        const polygon = stack.pop();
+        const bbox = getRingBBox(polygon[0]);
+        const vertexCount = polygon.reduce((total, ring) => total + ring.length, 0);
+        const width = bbox[2] - bbox[0];
+        const height = bbox[3] - bbox[1];
+
+        if (vertexCount <= NO_COVERAGE_PIECE_VERTICES || Math.max(width, height) < 1e-4) {
+            pieces.push({ polygon, bbox });
+            continue;
+        }
+
+        const halves = width >= height ?
+            [[bbox[0], bbox[1], bbox[0] + width / 2, bbox[3]], [bbox[0] + width / 2, bbox[1], bbox[2], bbox[3]]] :
+            [[bbox[0], bbox[1], bbox[2], bbox[1] + height / 2], [bbox[0], bbox[1] + height / 2, bbox[2], bbox[3]]];
+
+        halves.forEach(([west, south, east, north]) => {
+            const cell = [[west, south], [east, south], [east, north], [west, north]];
+            const hasArea = ring => ring.length >= 3 && Math.abs(getRingSignedArea(ring)) > 1e-12;
+
+            // Holes only matter where the outer ring reaches
+            const outer = clipRingToConvexRing(polygon[0], cell);
+            if (!hasArea(outer)) return;
+
+            const holes = polygon.slice(1).map(hole => clipRingToConvexRing(hole, cell)).filter(hasArea);
+            stack.push([outer, ...holes]);
+        });
+    }
+
+    return pieces;
+}
+
+// Share (0 to 1) of a footprint lying in the no-coverage areas
+// The footprint's parts must be convex, as Sentinel-2 tiles are
+function getNoCoverageFraction(noCoverage, geometry) {
+    let footprintArea = 0;
+    let uncoveredArea = 0;
+
+    getGeometryPolygons(geometry).forEach(polygon => {
+        const ring = polygon[0];
+        if (!ring || ring.length < 4) return;
+
+        footprintArea += Math.abs(getRingSignedArea(ring));
+        searchSpatialIndex(noCoverage.index, getRingBBox(ring)).forEach(pieceId => {
+            uncoveredArea += getPolygonIntersectionArea(noCoverage.pieces[pieceId].polygon, ring);
+        });
+    });
+
+    return footprintArea > 0 ? Math.max(0, Math.min(uncoveredArea / footprintArea, 1)) : 0;
+}
@@ -0,0 +1,302 @@
+// Offline support: registers the service worker, shows when the app is offline or drawing saved map tiles,
+// and saves base map tiles for an area and zoom range so they can be used without a connection
+
+const OFFLINE_TILE_CACHE = 's2-grid-explorer.tiles'; // Same name as TILE_CACHE in sw.js
+const WEB_MERCATOR_MAX_LAT = 85.0511287798; // Web Mercator tiles stop here
+
+let tilesFromCache = false; // Whether the service worker last served a map tile from the saved tiles
+let tileDownload = null; // Tile download in progress ({ stopped }), or null
+
+// Register the service worker and setup the offline indicator and tile panel
+function setupOfflineSupport() {
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register(CONFIG.offline.serviceWorkerPath).catch(error => {
+            console.warn('Could not register the service worker, the app will not work offline:', error);
+        });
+
+        navigator.serviceWorker.addEventListener('message', function (event) {
+            if (event.data && event.data.type === 'tileSource') {
+                tilesFromCache = event.data.source === 'cache';
+                updateOfflineIndicator();
+            }
+        });
+    }
+
+    window.addEventListener('online', updateOfflineIndicator);
+    window.addEventListener('offline', updateOfflineIndicator);
+    updateOfflineIndicator();
+
+    const offlineControl = L.control({ position: 'topleft' });
+    offlineControl.onAdd = function () {
+        const container = L.DomUtil.create('div', 'leaflet-bar offline-control');
+        container.innerHTML = '<a href="#" title="Save map tiles for offline use" role="button">&#9729;</a>';
+
+        L.DomEvent.disableClickPropagation(container);
+        L.DomEvent.on(container.querySelector('a'), 'click', function (e) {
+            L.DomEvent.preventDefault(e);
+            openOfflinePanel();
+        });
+
+        return container;
+    };
+    offlineControl.addTo(map);
+
+    ['offline-area', 'offline-min-zoom', 'offline-max-zoom'].forEach(id => {
+        document.getElementById(id).addEventListener('change', updateOfflineEstimate);
+    });
+    document.getElementById('offline-save').addEventListener('click', saveOfflineTiles);
+    document.getElementById('offline-stop').addEventListener('click', function () {
+        if (tileDownload) tileDownload.stopped = true;
+    });
+    document.getElementById('offline-clear').addEventListener('click', clearOfflineTiles);
+}
+
+// Tell the service worker the tile URL template of the base layer shown, so it only serves saved tiles for it
+// The template is null when the layer's tiles cannot be saved
+async function postBaseLayerToServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    const config = getManagedLayerConfig(currentBaseLayer);
+    let template = null;
+
+    try {
+        template = config ? getOfflineTileTemplate(config) : null;
+    } catch (error) {
+        // WMS layers have no template; their tiles go straight to the network
+    }
+
+    const registration = await navigator.serviceWorker.ready;
+    if (registration.active) {
+        registration.active.postMessage({ type: 'baseLayer', template });
+    }
+}
+
+// Show whether the app is offline and whether map tiles are coming from the saved tiles
+function updateOfflineIndicator() {
+    const indicator = document.getElementById('offline-indicator');
+    const offline = navigator.onLine === false;
+
+    if (tilesFromCache) {
+        indicator.textContent = offline ? 'Offline: map tiles from saved tiles' : 'Map tiles from saved tiles';
+    } else {
+        indicator.textContent = 'Offline';
+    }
+    indicator.classList.toggle('hidden', !offline && !tilesFromCache);
+}
+
+// Open the panel with the zoom range starting at the current zoom
+function openOfflinePanel() {
+    const zoom = Math.round(map.getZoom());
+    const maxZoom = map.getMaxZoom();
+
+    document.getElementById('offline-min-zoom').value = zoom;
+    document.getElementById('offline-max-zoom').value = Math.min(zoom + 2, maxZoom);
+    document.querySelector('#offline-area option[value="aoi"]').disabled = !aoiLayer;
+    if (!aoiLayer) document.getElementById('offline-area').value = 'view';
+
+    showPanel('offline-panel');
+    updateOfflineEstimate();
+    displaySavedTileCount();
+}
+
+// Get the tile URLs of the base layer shown, within the chosen area and zoom range
+// Throws if the layer's tiles cannot be listed or too many are asked for
+function getOfflineTileUrls() {
+    const config = getManagedLayerConfig(currentBaseLayer);
+    if (!config) {
+        throw new Error('No base layer is shown');
+    }
+
+    const template = getOfflineTileTemplate(config);
+    const subdomains = config.subdomains || 'abc'; // Leaflet's default
+    const minZoom = Number(document.getElementById('offline-min-zoom').value);
+    const maxZoom = Number(document.getElementById('offline-max-zoom').value);
+
+    if (!Number.isInteger(minZoom) || !Number.isInteger(maxZoom) || minZoom > maxZoom) {
+        throw new Error('Choose a zoom range with the lowest zoom first');
+    }
+
+    const bounds = getOfflineArea();
+    const urls = new Set();
+
+    for (let zoom = minZoom; zoom <= maxZoom; zoom++) {
+        // Beyond the native zoom, Leaflet scales up the tiles of the native zoom
+        const tileZoom = config.maxNativeZoom ? Math.min(zoom, config.maxNativeZoom) : zoom;
+        const [minX, minY, maxX, maxY] = getTileRange(bounds, tileZoom);
+
+        if (urls.size + (maxX - minX + 1) * (maxY - minY + 1) > CONFIG.offline.maxTiles) {
+            throw new Error(`That is more than ${CONFIG.offline.maxTiles} tiles; choose a smaller area or fewer zoom levels`);
+        }
+
+        for (let x = minX; x <= maxX; x++) {
+            for (let y = minY; y <= maxY; y++) {
+                urls.add(L.Util.template(template, {
+                    s: subdomains[Math.abs(x + y) % subdomains.length],
+                    x,
+                    y,
+                    z: tileZoom,
+                    r: ''
+                }));
+            }
+        }
+    }
+
+    return Array.from(urls);
+}
+
+// Get the tile URL template of a layer whose tiles can be saved
+// Throws for WMS layers, whose tile URLs depend on the map's projection and tile size
+function getOfflineTileTemplate(config) {
+    if (config.type === 'wms') {
+        throw new Error(`${config.name} is a WMS layer; only XYZ and WMTS tiles can be saved`);
+    }
+
+    return config.type === 'wmts' ? getWmtsTileUrl(config) : config.url;
+}
+
+// Get the chosen area, limited to one world and the latitudes Web Mercator tiles cover
+function getOfflineArea() {
+    const bounds = document.getElementById('offline-area').value === 'aoi' && aoiLayer ?
+        aoiLayer.getBounds() : map.getBounds();
+
+    const west = Math.max(bounds.getWest(), -180);
+    const east = Math.min(bounds.getEast(), 180);
+    if (west >= east) {
+        throw new Error('Move the view so it does not cross the antimeridian');
+    }
+
+    return L.latLngBounds(
+        [Math.max(bounds.getSouth(), -WEB_MERCATOR_MAX_LAT), west],
+        [Math.min(bounds.getNorth(), WEB_MERCATOR_MAX_LAT), east]
+    );
+}
+
+// Get the range of tile columns and rows [minX, minY, maxX, maxY] covering bounds at a zoom level
+function getTileRange(bounds, zoom) {
+    const tileSize = 256;
+    const last = Math.pow(2, zoom) - 1;
+    const northWest = map.project(bounds.getNorthWest(), zoom).divideBy(tileSize).floor();
+    const southEast = map.project(bounds.getSouthEast(), zoom).divideBy(tileSize).floor();
+
+    return [
+        Math.max(0, northWest.x),
+        Math.max(0, northWest.y),
+        Math.min(last, southEast.x),
+        Math.min(last, southEast.y)
+    ];
+}
+
+// Show how many tiles the chosen area and zoom range need
+function updateOfflineEstimate() {
+    try {
+        const count = getOfflineTileUrls().length;
+        setOfflineStatus(`${count.toLocaleString()} tiles of ${getManagedLayerConfig(currentBaseLayer).name}`);
+    } catch (error) {
+        setOfflineStatus(error.message);
+    }
+}
+
+// Download the tiles for the chosen area into the tile cache, skipping those already saved
+async function saveOfflineTiles() {
+    if (tileDownload) return;
+
+    if (!('caches' in window)) {
+        setOfflineStatus('This browser cannot save tiles here; open the explorer over HTTPS');
+        return;
+    }
+
+    let urls;
+    try {
+        urls = getOfflineTileUrls();
+    } catch (error) {
+        setOfflineStatus(error.message);
+        return;
+    }
+
+    const download = { stopped: false };
+    tileDownload = download;
+    setOfflineDownloading(true);
+
+    let done = 0;
+    let failed = 0;
+    const queue = urls.slice();
+
+    try {
+        const cache = await caches.open(OFFLINE_TILE_CACHE);
+
+        // A few tiles at a time, to be gentle on the tile server
+        const fetchNext = async () => {
+            while (queue.length > 0 && !download.stopped) {
+                const url = queue.shift();
+
+                try {
+                    if (!await cache.match(url)) {
+                        const response = await fetch(url, { mode: 'cors' });
+                        if (!response.ok) {
+                            throw new Error(`HTTP ${response.status}`);
+                        }
+                        await cache.put(url, response);
+                    }
+                } catch (error) {
+                    console.warn(`Could not save tile ${url}:`, error);
+                    failed++;
+                }
+
+                done++;
+                setOfflineStatus(`Saving tiles: ${done.toLocaleString()} of ${urls.length.toLocaleString()}`);
+            }
+        };
+
+        await Promise.all(Array.from({ length: CONFIG.offline.downloadConcurrency }, fetchNext));
+
+        const stopped = download.stopped ? 'Stopped after' : 'Saved';
+        setOfflineStatus(`${stopped} ${(done - failed).toLocaleString()} tiles${failed > 0 ? `, ${failed} failed` : ''}`);
+    } catch (error) {
+        console.error('Error saving tiles:', error);
+        setOfflineStatus(`Could not save tiles: ${error.message}`);
+    } finally {
+        tileDownload = null;
+        setOfflineDownloading(false);
+        displaySavedTileCount();
+    }
+}
+
+// Delete every saved tile
+async function clearOfflineTiles() {
+    if (tileDownload || !('caches' in window)) return;
+
+    await caches.delete(OFFLINE_TILE_CACHE);
+    setOfflineStatus('Saved tiles cleared');
+    displaySavedTileCount();
+}
+
+// Show how many tiles are saved
+async function displaySavedTileCount() {
+    const element = document.getElementById('offline-saved-count');
+
+    if (!('caches' in window)) {
+        element.textContent = 'Saving tiles needs the explorer to be opened over HTTPS';
+        return;
+    }
+
+    try {
+        const cache = await caches.open(OFFLINE_TILE_CACHE);
+        const keys = await cache.keys();
+        element.textContent = `${keys.length.toLocaleString()} tiles saved for offline use`;
+    } catch (error) {
+        console.warn('Could not count saved tiles:', error);
+        element.textContent = '';
+    }
+}
+
+// Swap the save button for the stop button while tiles download
+function setOfflineDownloading(downloading) {
+    document.getElementById('offline-save').classList.toggle('hidden', downloading);
+    document.getElementById('offline-stop').classList.toggle('hidden', !downloading);
+    document.getElementById('offline-clear').disabled = downloading;
+}
+
+// Show a status message in the offline panel
+function setOfflineStatus(message) {
+    document.getElementById('offline-status').textContent = message;
+}
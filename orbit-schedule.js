@@ -0,0 +1,185 @@
+// Predict Sentinel-2 overpasses from the orbit table: when each relative orbit passes a latitude,
+// where its ground track runs, and an iCalendar file of the predicted acquisitions
+// Kept free of Leaflet and DOM references so it can be reused anywhere
+
+const SIDEREAL_DAY_MS = 86164090.5;
+const DAY_MS = 86400000;
+
+// Time between consecutive relative orbits in milliseconds
+function getOrbitPeriod(table) {
+    return table.repeatCycleDays * DAY_MS / table.orbitsPerCycle;
+}
+
+// Time of a descending node crossing of a relative orbit by one satellite
+// Any crossing will do; the rest are whole repeat cycles before or after it
+function getOrbitEpoch(table, satellite, orbit) {
+    const steps = ((orbit - satellite.referenceOrbit) % table.orbitsPerCycle + table.orbitsPerCycle) % table.orbitsPerCycle;
+    return Date.parse(satellite.referenceEpoch) + steps * getOrbitPeriod(table);
+}
+
+// Angle travelled south from the descending node to reach a latitude, in radians (negative when north of it)
+function getArgumentFromNode(table, lat) {
+    const maxLatitude = 180 - table.inclinationDegrees;
+    const clamped = Math.max(-maxLatitude, Math.min(maxLatitude, lat));
+    return -Math.asin(Math.sin(toRadians(clamped)) / Math.sin(toRadians(table.inclinationDegrees)));
+}
+
+// Time from the descending node crossing to the satellite passing a latitude
+function getLatitudePassOffset(table, lat) {
+    return getArgumentFromNode(table, lat) / (2 * Math.PI) * getOrbitPeriod(table);
+}
+
+// Longitude of the ground track at a latitude relative to its descending node
+function getGroundTrackOffset(table, lat) {
+    return getGroundTrackPoint(table, getArgumentFromNode(table, lat))[0];
+}
+
+// Ground track point an angle (radians) south of the descending node, as [longitude relative to the node, latitude]
+function getGroundTrackPoint(table, argument) {
+    const inclination = toRadians(table.inclinationDegrees);
+    const lat = toDegrees(Math.asin(-Math.sin(inclination) * Math.sin(argument)));
+
+    // Position along the inclined orbit, then the Earth turning underneath while the satellite gets there
+    const orbitOffset = toDegrees(Math.atan2(-Math.cos(inclination) * Math.sin(argument), -Math.cos(argument))) - 180;
+    const rotation = 360 * (argument / (2 * Math.PI) * getOrbitPeriod(table)) / SIDEREAL_DAY_MS;
+
+    return [normaliseLongitude(orbitOffset - rotation), lat];
+}
+
+// Build a swath feature for each relative orbit from its ground track, for when no swath file is available
+// Each swath follows the daylit descending half of the orbit, from its northernmost to its southernmost point,
+// with longitudes kept continuous so swaths crossing the antimeridian run past ±180
+function createOrbitSwathFeatures(table) {
+    const satellite = table.satellites[0];
+    const halfWidth = table.swathWidthKm * 500;
+    const steps = 180; // Points along each edge of a swath, one per degree of the orbit
+    const features = [];
+
+    for (let orbit = 1; orbit <= table.orbitsPerCycle; orbit++) {
+        const nodeLng = getNodeLongitude(table, getOrbitEpoch(table, satellite, orbit));
+        const track = [];
+
+        for (let i = 0; i <= steps; i++) {
+            const [offset, lat] = getGroundTrackPoint(table, Math.PI * (i / steps - 0.5));
+            const lng = nodeLng + offset;
+            track.push([track.length > 0 ? wrapLngNear(lng, track[track.length - 1][0]) : lng, lat]);
+        }
+
+        // Offset each track point square to the direction of travel on both sides
+        const left = [];
+        const right = [];
+        track.forEach((point, index) => {
+            const bearing = getInitialBearing(track[Math.max(index - 1, 0)], track[Math.min(index + 1, steps)]);
+            left.push(getDestinationPoint(point, bearing - 90, halfWidth));
+            right.push(getDestinationPoint(point, bearing + 90, halfWidth));
+        });
+
+        const ring = [...left, ...right.reverse()];
+        ring.push(ring[0]);
+
+        features.push({
+            type: 'Feature',
+            properties: { relative_orbit: orbit },
+            geometry: { type: 'Polygon', coordinates: [ring] }
+        });
+    }
+
+    return features;
+}
+
+// Longitude of a descending node crossing, from the fixed local solar time of a sun-synchronous orbit
+function getNodeLongitude(table, time) {
+    const utcHours = (time % DAY_MS + DAY_MS) % DAY_MS / 3600000;
+    return normaliseLongitude((table.descendingNodeLocalTime - utcHours) * 15);
+}
+
+// Wrap a longitude into -180..180
+function normaliseLongitude(lng) {
+    return ((lng + 180) % 360 + 360) % 360 - 180;
+}
+
+// Estimate the relative orbits whose swath reaches a point, for when no swath file is available
+// margin widens the swath, e.g. by half a tile so orbits that only clip a tile are included
+function findOrbitsOverPoint(table, lat, lng, marginKm = 0) {
+    const satellite = table.satellites[0];
+    const trackOffset = getGroundTrackOffset(table, lat);
+    const kmPerDegree = 111.32 * Math.max(Math.cos(toRadians(lat)), 0.01);
+    const reach = table.swathWidthKm / 2 + marginKm;
+    const orbits = [];
+
+    for (let orbit = 1; orbit <= table.orbitsPerCycle; orbit++) {
+        const trackLng = getNodeLongitude(table, getOrbitEpoch(table, satellite, orbit)) + trackOffset;
+        const distanceKm = Math.abs(normaliseLongitude(lng - trackLng)) * kmPerDegree;
+
+        if (distanceKm <= reach) {
+            orbits.push(orbit);
+        }
+    }
+
+    return orbits;
+}
+
+// List predicted passes of some relative orbits over a latitude between two times, soonest first
+// Each is { time, satellite, orbit } where satellite is the table entry
+function predictAcquisitions(table, orbits, lat, start, end) {
+    const cycle = table.repeatCycleDays * DAY_MS;
+    const passOffset = getLatitudePassOffset(table, lat);
+    const acquisitions = [];
+
+    table.satellites.forEach(satellite => {
+        const from = Math.max(start, satellite.from ? Date.parse(satellite.from) : -Infinity);
+        const until = Math.min(end, satellite.until ? Date.parse(satellite.until) : Infinity);
+        if (from >= until) return;
+
+        orbits.forEach(orbit => {
+            const epoch = getOrbitEpoch(table, satellite, orbit) + passOffset;
+
+            for (let time = epoch + Math.ceil((from - epoch) / cycle) * cycle; time < until; time += cycle) {
+                acquisitions.push({ time, satellite, orbit });
+            }
+        });
+    });
+
+    return acquisitions.sort((a, b) => a.time - b.time);
+}
+
+// Build an iCalendar file with one short event per predicted acquisition
+function acquisitionsToICalendar(acquisitions, tileName) {
+    const stamp = formatICalendarTime(Date.now());
+
+    const events = acquisitions.map(acquisition => {
+        const orbit = `R${String(acquisition.orbit).padStart(3, '0')}`;
+
+        return [
+            'BEGIN:VEVENT',
+            `UID:${tileName}-${acquisition.satellite.id}-${orbit}-${Math.round(acquisition.time / 1000)}@sentinel-2-grid-explorer`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART:${formatICalendarTime(acquisition.time)}`,
+            `DTEND:${formatICalendarTime(acquisition.time + 60000)}`,
+            `SUMMARY:${escapeICalendarText(`${acquisition.satellite.name} over ${tileName} (${orbit})`)}`,
+            `DESCRIPTION:${escapeICalendarText('Predicted Sentinel-2 overpass, accurate to a few minutes')}`,
+            'TRANSP:TRANSPARENT',
+            'END:VEVENT'
+        ].join('\r\n');
+    });
+
+    return [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Sentinel-2 Grid Explorer//Acquisition predictions//EN',
+        'CALSCALE:GREGORIAN',
+        `X-WR-CALNAME:${escapeICalendarText(`Sentinel-2 over ${tileName}`)}`,
+        ...events,
+        'END:VCALENDAR'
+    ].join('\r\n') + '\r\n';
+}
+
+// Format a time as an iCalendar UTC date-time (YYYYMMDDTHHMMSSZ)
+function formatICalendarTime(time) {
+    return new Date(time).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Escape the characters iCalendar treats specially in text values
+function escapeICalendarText(text) {
+    return String(text).replace(/[\\;,]/g, '\\$&').replace(/\n/g, '\\n');
+}
@@ -0,0 +1,203 @@
+// Sentinel-2 relative orbit swaths: an overlay layer, and which orbits image a tile
+
+// Properties that may hold the relative orbit number, depending on how the swaths were exported
+const ORBIT_NUMBER_PROPERTIES = ['relative_orbit', 'relativeOrbit', 'OrbitRelative', 'orbit', 'Name', 'name'];
+
+let orbitLayer = null; // Overlay showing every relative orbit swath
+let orbitSwaths = []; // Per orbit { orbit, polygons, bboxes } for coverage checks
+let orbitHighlightLayer = null; // Swath highlighted from the tile info panel
+
+// Load the relative orbit swaths, building them from the orbit table's ground tracks if the file is missing
+// The orbit table must have been loaded first for the fallback
+async function loadOrbits() {
+    try {
+        let orbitData;
+        const response = await fetch(CONFIG.orbitsPath);
+
+        if (response.ok) {
+            orbitData = await response.json();
+        } else if (orbitTable) {
+            console.log('Relative orbit file not found, building the swaths from the orbit table');
+            orbitData = { type: 'FeatureCollection', features: createOrbitSwathFeatures(orbitTable) };
+        } else {
+            console.warn('Relative orbit file and orbit table not found, continuing without relative orbits');
+            return;
+        }
+
+        orbitSwaths = buildOrbitSwaths(orbitData.features || []);
+        console.log(`Loaded ${orbitSwaths.length} Sentinel-2 relative orbits`);
+
+        createOrbitLayer(orbitData);
+    } catch (error) {
+        console.warn('Failed to load relative orbits:', error);
+    }
+}
+
+// Group swath polygons by orbit number, unwrapping any that jump across the antimeridian
+function buildOrbitSwaths(features) {
+    const swathsByOrbit = new Map();
+
+    features.forEach(feature => {
+        const orbit = getOrbitNumber(feature);
+        if (orbit === null || !feature.geometry) return;
+
+        if (!swathsByOrbit.has(orbit)) {
+            swathsByOrbit.set(orbit, { orbit, polygons: [], bboxes: [] });
+        }
+
+        const swath = swathsByOrbit.get(orbit);
+        getGeometryPolygons(feature.geometry).forEach(polygon => {
+            const rings = polygon.map(unwrapRing);
+            swath.polygons.push(rings);
+            swath.bboxes.push(getRingBBox(rings[0]));
+        });
+    });
+
+    return Array.from(swathsByOrbit.values()).sort((a, b) => a.orbit - b.orbit);
+}
+
+// Read the relative orbit number of a swath feature, or null if it has none
+function getOrbitNumber(feature) {
+    const properties = feature.properties || {};
+
+    for (const key of ORBIT_NUMBER_PROPERTIES) {
+        const match = /\d+/.exec(String(properties[key] ?? ''));
+        if (match) {
+            return parseInt(match[0], 10);
+        }
+    }
+    return null;
+}
+
+// Create the orbit overlay and add it to the layer control, switched off by default
+function createOrbitLayer(orbitData) {
+    orbitLayer = L.geoJSON(orbitData, {
+        style: {
+            color: '#7e57c2',
+            weight: 1,
+            opacity: 0.7,
+            fillOpacity: 0.05,
+            fillColor: '#7e57c2'
+        },
+        interactive: true,
+        onEachFeature: function (feature, layer) {
+            const orbit = getOrbitNumber(feature);
+            layer.bindTooltip(orbit === null ? 'Relative orbit' : `Relative orbit ${formatOrbitNumber(orbit)}`, {
+                sticky: true,
+                className: 'orbit-tooltip'
+            });
+        }
+    });
+
+    if (map.layerControl) {
+        map.layerControl.addOverlay(orbitLayer, 'Relative Orbits');
+    }
+}
+
+// List the relative orbits crossing a tile, each with the fraction of the tile it covers
+// A tile counts as fully covered when the swath misses no more than 0.1% of it
+function findOrbitsForTile(feature) {
+    const parts = getGeometryPolygons(feature.geometry)
+        .map(part => part[0])
+        .filter(ring => ring && ring.length >= 4);
+    const tileArea = parts.reduce((total, ring) => total + Math.abs(getRingSignedArea(ring)), 0);
+    if (tileArea === 0) return [];
+
+    const results = [];
+
+    orbitSwaths.forEach(swath => {
+        let intersectionArea = 0;
+
+        // Each tile part is convex, so the swath can be clipped against it directly
+        parts.forEach(tileRing => {
+            const tileBBox = getRingBBox(tileRing);
+
+            // Swaths may be unwrapped past ±180, so check the neighbouring world copies too
+            [-360, 0, 360].forEach(lngOffset => {
+                const shiftedBBox = [tileBBox[0] + lngOffset, tileBBox[1], tileBBox[2] + lngOffset, tileBBox[3]];
+
+                swath.polygons.forEach((polygon, index) => {
+                    if (!bboxesIntersect(swath.bboxes[index], shiftedBBox)) return;
+                    intersectionArea += getPolygonIntersectionArea(polygon, offsetRing(tileRing, lngOffset));
+                });
+            });
+        });
+
+        const coverage = Math.min(intersectionArea / tileArea, 1);
+        if (coverage > 0.001) {
+            results.push({ orbit: swath.orbit, coverage, full: coverage >= 0.999 });
+        }
+    });
+
+    return results;
+}
+
+// Build the relative orbit section of the tile info panel
+function renderTileOrbits(feature) {
+    if (orbitSwaths.length === 0) {
+        return '<h4 class="info-heading">Relative orbits</h4><p class="panel-summary">Relative orbit data is not available</p>';
+    }
+
+    const orbits = findOrbitsForTile(feature);
+    if (orbits.length === 0) {
+        return '<h4 class="info-heading">Relative orbits</h4><p class="panel-summary">No relative orbits cross this tile</p>';
+    }
+
+    const fullCount = orbits.filter(result => result.full).length;
+    const items = orbits.map(result => `
+        <div class="tile-list-item orbit-item" data-orbit="${result.orbit}" title="Show this orbit's swath on the map">
+            <span class="tile-list-name">${formatOrbitNumber(result.orbit)}</span>
+            <span class="tile-list-value">${result.full ? 'Full coverage' : `Partial (${Math.round(result.coverage * 100)}%)`}</span>
+        </div>
+    `).join('');
+
+    return `
+        <h4 class="info-heading">Relative orbits</h4>
+        <p class="panel-summary">${orbits.length} orbit${orbits.length !== 1 ? 's' : ''} cross this tile, ${fullCount} with full coverage</p>
+        <div class="tile-list">${items}</div>
+    `;
+}
+
+// Wire up the orbit rows rendered into a container
+function bindTileOrbitEvents(container) {
+    container.querySelectorAll('.orbit-item').forEach(element => {
+        element.addEventListener('click', function () {
+            highlightOrbit(Number(this.dataset.orbit));
+        });
+    });
+}
+
+// Outline one orbit's swath on the map
+function highlightOrbit(orbit) {
+    clearOrbitHighlight();
+
+    const swath = orbitSwaths.find(item => item.orbit === orbit);
+    if (!swath) return;
+
+    orbitHighlightLayer = L.geoJSON({
+        type: 'MultiPolygon',
+        coordinates: swath.polygons
+    }, {
+        style: {
+            color: '#7e57c2',
+            weight: 3,
+            opacity: 1,
+            fillOpacity: 0.15,
+            fillColor: '#7e57c2'
+        },
+        interactive: false
+    }).addTo(map);
+}
+
+// Remove the highlighted orbit swath
+function clearOrbitHighlight() {
+    if (orbitHighlightLayer) {
+        map.removeLayer(orbitHighlightLayer);
+        orbitHighlightLayer = null;
+    }
+}
+
+// Format a relative orbit number the way ESA product names do (R001 to R143)
+function formatOrbitNumber(orbit) {
+    return `R${String(orbit).padStart(3, '0')}`;
+}
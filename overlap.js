@@ -0,0 +1,119 @@
+// Overlap mode: shade where neighbouring tiles overlap and find the best tile for a point
+
+let overlapModeActive = false; // Whether overlap shading and point checks are switched on
+let overlapPointMarker = null; // Marker at the point last checked
+let overlapPointResults = []; // Tiles containing the point, most central first
+let overlapPointRequest = 0; // Latest point check, so stale worker results are dropped
+
+// Setup the overlap mode control and panel
+function setupOverlapTool() {
+    const overlapControl = L.control({ position: 'topleft' });
+    overlapControl.onAdd = function () {
+        const container = L.DomUtil.create('div', 'leaflet-bar overlap-control');
+        container.innerHTML = '<a href="#" title="Show tile overlaps and find the best tile for a point" role="button">&#10697;</a>';
+
+        L.DomEvent.disableClickPropagation(container);
+        L.DomEvent.on(container.querySelector('a'), 'click', function (e) {
+            L.DomEvent.preventDefault(e);
+            setOverlapMode(!overlapModeActive);
+        });
+
+        return container;
+    };
+    overlapControl.addTo(map);
+
+    // Closing the panel leaves overlap mode
+    document.querySelector('#overlap-panel .panel-close').addEventListener('click', function () {
+        setOverlapMode(false);
+    });
+}
+
+// Switch overlap mode on or off
+function setOverlapMode(active) {
+    overlapModeActive = active;
+    document.querySelector('.overlap-control a').classList.toggle('active', active);
+    map.getContainer().classList.toggle('overlap-mode', active);
+
+    if (gridLayer) {
+        gridLayer.setShowOverlaps(active);
+    }
+
+    clearOverlapPoint();
+    if (active) {
+        showPanel('overlap-panel');
+    } else {
+        hidePanel('overlap-panel');
+    }
+}
+
+// List every tile containing a point, the one holding it most centrally first
+async function showTilesAtPoint(latlng) {
+    const requestId = ++overlapPointRequest;
+    const point = latlng.wrap();
+
+    if (overlapPointMarker) {
+        map.removeLayer(overlapPointMarker);
+    }
+    overlapPointMarker = L.circleMarker(latlng, {
+        radius: 6,
+        color: '#ffffff',
+        weight: 2,
+        fillColor: '#ff5722',
+        fillOpacity: 1,
+        interactive: false
+    }).addTo(map);
+
+    const results = await findGridsAtPoint(point.lat, point.lng);
+
+    // Another point was checked while the worker was busy
+    if (requestId !== overlapPointRequest) return;
+
+    overlapPointResults = results;
+    displayTilesAtPoint(results, point);
+}
+
+// Display the tiles containing a point in the side panel
+function displayTilesAtPoint(results, point) {
+    const summary = document.getElementById('overlap-summary');
+    const list = document.getElementById('overlap-results');
+    const location = formatLatLng(point.lat, point.lng);
+
+    if (results.length === 0) {
+        summary.innerHTML = `No tiles contain ${location}`;
+        list.innerHTML = '';
+        return;
+    }
+
+    const plural = results.length !== 1;
+    summary.innerHTML = `${results.length} tile${plural ? 's contain' : ' contains'} ${location}. ` +
+        `<strong>${results[0].name}</strong> holds it most centrally.`;
+
+    list.innerHTML = results.map((result, index) => `
+        <div class="tile-list-item${index === 0 ? ' best' : ''}" data-name="${result.name}" title="Distance from the point to the tile's nearest edge">
+            <span class="tile-list-name">${result.name}</span>
+            <span class="tile-list-value">${(result.edgeDistance / 1000).toFixed(1)} km from edge</span>
+        </div>
+    `).join('');
+
+    list.querySelectorAll('.tile-list-item').forEach(element => {
+        element.addEventListener('click', function () {
+            const result = overlapPointResults.find(item => item.name === this.dataset.name);
+            if (result) {
+                highlightGrid(result.feature);
+            }
+        });
+    });
+}
+
+// Remove the checked point and its results
+function clearOverlapPoint() {
+    overlapPointRequest++;
+
+    if (overlapPointMarker) {
+        map.removeLayer(overlapPointMarker);
+        overlapPointMarker = null;
+    }
+    overlapPointResults = [];
+    document.getElementById('overlap-summary').innerHTML = 'Click the map to list the tiles containing a point';
+    document.getElementById('overlap-results').innerHTML = '';
+}
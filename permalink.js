@@ -0,0 +1,168 @@
+// Shareable permalink: keep the view, layers and selections in the URL hash
+
+let permalinkReady = false; // Set once the URL state has been applied to the loaded data
+let permalinkRestoring = false; // Set while restoring so the restore is not written back
+let pendingPermalinkState = null; // URL state still waiting on grid data
+let lastPermalinkView = null; // View part of the last hash written
+
+// Read the URL hash and restore the view, then keep the hash in sync
+function setupPermalink() {
+    const state = parsePermalink(window.location.hash);
+
+    if (state.view) {
+        map.setView([state.view.lat, state.view.lng], state.view.zoom, { animate: false });
+    }
+    applyPermalinkBaseLayer(state.base);
+
+    pendingPermalinkState = state;
+    lastPermalinkView = formatPermalinkView();
+
+    map.on('moveend', function () {
+        updatePermalink();
+    });
+    map.on('baselayerchange overlayadd overlayremove', function () {
+        updatePermalink();
+    });
+
+    // Back/forward move through earlier views
+    window.addEventListener('popstate', function () {
+        restorePermalink(parsePermalink(window.location.hash));
+    });
+}
+
+// Parse a hash such as "#map=7/-31.9500/115.8600&base=satellite&nocov=1&tile=50HMK&sel=50HMK,50HML"
+function parsePermalink(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const state = {};
+
+    const view = (params.get('map') || '').split('/').map(Number);
+    if (view.length === 3 && view.every(value => !isNaN(value))) {
+        state.view = { zoom: view[0], lat: view[1], lng: view[2] };
+    }
+
+    if (params.has('base')) state.base = params.get('base');
+    if (params.has('nocov')) state.noCoverage = params.get('nocov') !== '0';
+    if (params.has('tile')) state.tile = params.get('tile');
+    if (params.has('sel')) state.selection = params.get('sel').split(',').filter(name => name.length > 0);
+
+    return state;
+}
+
+// Format the current view for the hash
+function formatPermalinkView() {
+    const centre = map.getCenter();
+    return `${map.getZoom()}/${centre.lat.toFixed(4)}/${centre.lng.toFixed(4)}`;
+}
+
+// Build the hash for the current state
+function buildPermalink() {
+    const parts = [`map=${formatPermalinkView()}`];
+
+    if (currentBaseLayer) {
+        parts.push(`base=${encodeURIComponent(currentBaseLayer)}`);
+    }
+
+    if (noCoverageLayer) {
+        parts.push(`nocov=${map.hasLayer(noCoverageLayer) ? 1 : 0}`);
+    } else if (pendingPermalinkState && pendingPermalinkState.noCoverage !== undefined) {
+        parts.push(`nocov=${pendingPermalinkState.noCoverage ? 1 : 0}`);
+    }
+
+    if (highlightedGridName) {
+        parts.push(`tile=${encodeURIComponent(highlightedGridName)}`);
+    }
+
+    if (workingSet.size > 0) {
+        parts.push(`sel=${Array.from(workingSet.keys()).sort().map(encodeURIComponent).join(',')}`);
+    }
+
+    return `#${parts.join('&')}`;
+}
+
+// Write the current state to the hash; view changes get their own history entry
+function updatePermalink() {
+    if (!permalinkReady || permalinkRestoring) return;
+
+    const hash = buildPermalink();
+    if (hash === window.location.hash) return;
+
+    const view = formatPermalinkView();
+    if (view !== lastPermalinkView) {
+        history.pushState(null, '', hash);
+        lastPermalinkView = view;
+    } else {
+        history.replaceState(null, '', hash);
+    }
+}
+
+// Apply the parts of the URL state that need grid data, once it has loaded
+async function applyPendingPermalink() {
+    if (pendingPermalinkState) {
+        await applyPermalinkSelection(pendingPermalinkState, true);
+    }
+
+    permalinkReady = true;
+    updatePermalink();
+}
+
+// Restore a full state, e.g. after back/forward navigation
+async function restorePermalink(state) {
+    permalinkRestoring = true;
+
+    try {
+        if (state.view) {
+            map.setView([state.view.lat, state.view.lng], state.view.zoom, { animate: false });
+        }
+        applyPermalinkBaseLayer(state.base);
+
+        if (state.noCoverage !== undefined && noCoverageLayer) {
+            if (state.noCoverage) {
+                noCoverageLayer.addTo(map);
+            } else {
+                map.removeLayer(noCoverageLayer);
+            }
+        }
+
+        if (gridCount > 0) {
+            await applyPermalinkSelection(state);
+        }
+
+        lastPermalinkView = formatPermalinkView();
+    } finally {
+        permalinkRestoring = false;
+    }
+}
+
+// Switch to the base layer named in the URL
+// Base layers load after the view is restored, so the layer manager also reads it when they do
+function applyPermalinkBaseLayer(baseName) {
+    if (!baseName || baseName === currentBaseLayer) return;
+    switchBaseLayer(baseName);
+}
+
+// Restore the working set and highlighted tile from the URL
+// A state without a selection empties the working set, except on first load where the saved set is kept
+async function applyPermalinkSelection(state, initial = false) {
+    if (state.selection) {
+        const grids = await fetchGridsByName(state.selection);
+        workingSet.clear();
+        grids.forEach(grid => workingSet.set(grid.name, grid.feature));
+        updateWorkingSet();
+    } else if (!initial) {
+        workingSet.clear();
+        updateWorkingSet();
+    }
+
+    const grid = state.tile ? await fetchGridByName(state.tile) : null;
+    if (grid) {
+        showTileInfo(grid.feature);
+    } else if (highlightedGridName) {
+        hidePanel('tile-info-panel');
+        clearHighlight();
+    }
+}
+
+// Whether the no-coverage layer should start visible
+function isNoCoverageVisibleInPermalink() {
+    return !pendingPermalinkState || pendingPermalinkState.noCoverage !== false;
+}
@@ -0,0 +1,213 @@
+// Scene browser: search the STAC API for a tile's scenes, draw their footprints and preview their images
+
+let sceneTileName = null; // Tile the scene panel is searching
+let sceneResults = []; // Scenes listed in the panel
+let sceneNextPage = null; // Link to the next page of results, if any
+let sceneSearchRequest = 0; // Latest search, so stale responses are dropped
+let sceneFootprintLayer = null; // Footprint of the scene picked from the list
+
+// Setup the scene panel form
+function setupScenePanel() {
+    document.getElementById('scene-search-form').addEventListener('submit', function (e) {
+        e.preventDefault();
+        performSceneSearch();
+    });
+
+    document.getElementById('scene-more').addEventListener('click', loadMoreScenes);
+
+    // Preview any COG by URL, e.g. one served from a local file server
+    document.getElementById('scene-cog-preview').addEventListener('click', function () {
+        const url = document.getElementById('scene-cog-url').value.trim();
+        if (url) {
+            previewScene(url);
+        }
+    });
+
+    // Closing the panel removes the footprint and preview
+    document.querySelector('#scene-panel .panel-close').addEventListener('click', function () {
+        clearSceneFootprint();
+        clearCogPreview();
+    });
+}
+
+// Open the scene panel for a tile and search its recent scenes
+function openScenePanel(tileName) {
+    const end = new Date();
+    const start = new Date(end.getTime() - CONFIG.stac.defaultDays * 86400000);
+
+    if (sceneTileName !== tileName) {
+        clearCogPreview();
+    }
+    sceneTileName = tileName;
+    document.getElementById('scene-panel-title').textContent = `Scenes for ${tileName}`;
+    document.getElementById('scene-start').value = start.toISOString().slice(0, 10);
+    document.getElementById('scene-end').value = end.toISOString().slice(0, 10);
+
+    showPanel('scene-panel');
+    performSceneSearch();
+}
+
+// Search the STAC API with the dates and cloud limit in the form
+async function performSceneSearch() {
+    if (!sceneTileName) return;
+
+    const requestId = ++sceneSearchRequest;
+    const start = document.getElementById('scene-start').value;
+    const end = document.getElementById('scene-end').value;
+    const maxCloudCover = Number(document.getElementById('scene-cloud').value);
+
+    sceneResults = [];
+    sceneNextPage = null;
+    clearSceneFootprint();
+    document.getElementById('scene-results').innerHTML = '';
+    setSceneStatus(`Searching ${CONFIG.stac.url}...`);
+
+    try {
+        const page = await searchStacItems(CONFIG.stac, { tileId: sceneTileName, start, end, maxCloudCover });
+
+        // The user started another search while this one was running
+        if (requestId !== sceneSearchRequest) return;
+
+        addScenePage(page);
+    } catch (error) {
+        if (requestId !== sceneSearchRequest) return;
+        console.warn('Scene search failed:', error);
+        setSceneStatus(`Scene search failed: ${error.message}`);
+    }
+}
+
+// Fetch the next page of scenes
+async function loadMoreScenes() {
+    if (!sceneNextPage) return;
+
+    const requestId = sceneSearchRequest;
+    setSceneStatus('Loading more scenes...');
+
+    try {
+        const page = await requestStacPage(sceneNextPage);
+        if (requestId !== sceneSearchRequest) return;
+
+        addScenePage(page);
+    } catch (error) {
+        if (requestId !== sceneSearchRequest) return;
+        console.warn('Loading more scenes failed:', error);
+        setSceneStatus(`Loading more scenes failed: ${error.message}`);
+    }
+}
+
+// Add a page of scenes to the list, newest first
+function addScenePage(page) {
+    sceneResults = sceneResults.concat(page.items)
+        .sort((a, b) => String(b.datetime).localeCompare(String(a.datetime)));
+    sceneNextPage = page.next;
+
+    document.getElementById('scene-more').classList.toggle('hidden', !sceneNextPage);
+
+    if (sceneResults.length === 0) {
+        setSceneStatus('No scenes found for these dates and cloud cover');
+        document.getElementById('scene-results').innerHTML = '';
+        return;
+    }
+
+    setSceneStatus(`${sceneResults.length}${sceneNextPage ? '+' : ''} scene${sceneResults.length !== 1 ? 's' : ''}. Click one to draw its footprint.`);
+    displayScenes();
+}
+
+// Render the scene list
+function displayScenes() {
+    const list = document.getElementById('scene-results');
+
+    list.innerHTML = sceneResults.map((scene, index) => `
+        <div class="scene-item" data-index="${index}" title="${escapeHtml(scene.id)}">
+            ${scene.thumbnail ? `<img class="scene-thumbnail" src="${escapeHtml(scene.thumbnail)}" alt="" loading="lazy">` : '<div class="scene-thumbnail"></div>'}
+            <div class="scene-details">
+                <div class="tile-list-name">${escapeHtml(formatSceneDate(scene.datetime))}</div>
+                <div class="tile-list-value">${scene.cloudCover === null ? 'Cloud cover unknown' : `${scene.cloudCover.toFixed(1)}% cloud`}</div>
+                <div class="tile-list-value">${escapeHtml(scene.platform)}</div>
+            </div>
+            ${scene.visual ? '<button class="scene-preview" type="button" title="Show the true-colour image on the map">Preview</button>' : ''}
+        </div>
+    `).join('');
+
+    list.querySelectorAll('.scene-item').forEach(element => {
+        element.addEventListener('click', function () {
+            list.querySelectorAll('.scene-item.active').forEach(item => item.classList.remove('active'));
+            this.classList.add('active');
+            showSceneFootprint(sceneResults[Number(this.dataset.index)]);
+        });
+    });
+
+    list.querySelectorAll('.scene-preview').forEach(button => {
+        button.addEventListener('click', function (e) {
+            e.stopPropagation();
+            previewScene(sceneResults[Number(this.closest('.scene-item').dataset.index)].visual);
+        });
+    });
+
+    // Hide thumbnails that fail to load instead of showing a broken image
+    list.querySelectorAll('img.scene-thumbnail').forEach(image => {
+        image.addEventListener('error', function () {
+            this.style.visibility = 'hidden';
+        });
+    });
+}
+
+// Draw a scene's footprint on the map and zoom to it
+function showSceneFootprint(scene) {
+    clearSceneFootprint();
+    if (!scene.geometry) return;
+
+    sceneFootprintLayer = L.geoJSON(scene.geometry, {
+        style: {
+            color: '#e91e63',
+            weight: 3,
+            opacity: 1,
+            fillOpacity: 0.1,
+            fillColor: '#e91e63'
+        },
+        interactive: false
+    }).addTo(map);
+
+    map.fitBounds(sceneFootprintLayer.getBounds(), { maxZoom: 10 });
+}
+
+// Remove the drawn scene footprint
+function clearSceneFootprint() {
+    if (sceneFootprintLayer) {
+        map.removeLayer(sceneFootprintLayer);
+        sceneFootprintLayer = null;
+    }
+}
+
+// Show a COG's true-colour image clipped to the scene panel's tile
+async function previewScene(url) {
+    const tileName = sceneTileName;
+    setSceneStatus('Reading image...');
+
+    try {
+        const grid = await fetchGridByName(tileName);
+        if (!grid) {
+            throw new Error(`Tile ${tileName} was not found`);
+        }
+
+        const shown = await showCogPreview(url, grid.feature);
+        if (shown) {
+            setSceneStatus(`Showing the image over ${tileName}`);
+        }
+    } catch (error) {
+        console.warn('Image preview failed:', error);
+        setSceneStatus(`Image preview failed: ${error.message}`);
+    }
+}
+
+// Format a scene's acquisition time as e.g. "2025-03-05 02:26 UTC"
+function formatSceneDate(datetime) {
+    const date = new Date(datetime);
+    if (isNaN(date.getTime())) return String(datetime);
+    return `${date.toISOString().slice(0, 10)} ${date.toISOString().slice(11, 16)} UTC`;
+}
+
+// Show a status message above the scene list
+function setSceneStatus(message) {
+    document.getElementById('scene-status').textContent = message;
+}
@@ -1,106 +1,144 @@
 // Configuration
 const CONFIG = {
-    minZoomForGrids: 4,
-    pointZoomThreshold: 7, // Show as points below this zoom level
-    labelZoomThreshold: 8, // NEW: Show labels only at this zoom level and above
-    maxGridsToRender: 10000,
-    maxPointsToRender: 50000, // Can show more points than polygons
+    gridFillZoomThreshold: 7, // Fill tiles and draw thicker outlines at this zoom level and above
+    labelZoomThreshold: 5, // Show labels at this zoom level and above
+    labelSpacing: { 5: 48, 6: 24, 7: 10, 8: 4 }, // Least gap in pixels between labels from each zoom level, so fewer show zoomed out
     geojsonPath: 'data/sentinel-2_grids.geojson',
+    gridSystemPaths: { // Other grid systems offered as overlays, with their GeoJSON file (null if built in code)
+        wrs2: null, // Built from the nominal orbit; or the USGS footprints converted to GeoJSON, see the README
+        modis: null
+    },
+    gridWorkerPath: 'grid-worker.js', // Worker that loads, indexes and queries the grids
+    searchResultLimit: 20, // Most tiles listed for a search
     noCoverageAreaPath: 'data/sentinel-2_no_coverage.geojson', // Areas WITHOUT S2 coverage
+    noCoverageTolerance: 0.03, // Degrees the no-coverage outlines may be simplified by for display (about one source pixel)
+    layersPath: 'data/layers.json', // Base layers and overlays (XYZ, WMS or WMTS)
+    orbitsPath: 'data/sentinel-2_relative_orbits.geojson', // Relative orbit swaths (optional)
+    orbitTablePath: 'data/sentinel-2_orbit_table.json', // Reference epochs for acquisition predictions
+    acquisitionWeeks: 4, // Default number of weeks of predicted acquisitions
+    stac: {
+        url: 'https://earth-search.aws.element84.com/v1', // Any STAC API with item search, e.g. a local mock server
+        collection: 'sentinel-2-l2a',
+        tileProperty: 'grid:code', // Item property holding the tile: 'grid:code' or 's2:mgrs_tile'
+        limit: 20, // Scenes per page
+        defaultDays: 90 // How far back the scene search starts
+    },
+    geocoder: {
+        provider: 'gazetteer', // 'gazetteer' (offline, bundled) or 'nominatim'
+        gazetteerPath: 'data/gazetteer.json',
+        nominatimUrl: 'https://nominatim.openstreetmap.org/search', // Any Nominatim-compatible endpoint
+        nominatimCountryCodes: 'au', // Limit Nominatim results to these countries ('' for anywhere)
+        nominatimAutocomplete: false, // Search places while typing (only for endpoints that allow it)
+        minQueryLength: 3 // Shortest query sent to the geocoder
+    },
+    offline: {
+        serviceWorkerPath: 'sw.js', // Caches the app and grid data, and serves saved map tiles offline
+        maxTiles: 2000, // Most map tiles saved at once; check the tile provider's usage policy before raising it
+        downloadConcurrency: 4 // Tiles downloaded at the same time
+    },
     mapOptions: {
         center: [-25, 135], // Centre of Australia
         zoom: 5, // Zoom level to show most of Australia
         maxZoom: 18,
-        minZoom: 4,
+        minZoom: 2,
         worldCopyJump: true, // Enable world wrapping
         maxBounds: [[-90, -Infinity], [90, Infinity]] // Allow infinite horizontal scrolling
     }
 };
 
+// No-coverage styles by the kind of base layer underneath
+const NO_COVERAGE_STYLES = {
+    imagery: {
+        color: '#9e9e9e', // Lighter grey outline
+        weight: 1,
+        opacity: 0.9,
+        fillOpacity: 0.5, // Slightly more prominent
+        fillColor: '#bdbdbd' // Much lighter grey fill
+    },
+    map: {
+        color: '#757575', // Dark grey outline
+        weight: 1,
+        opacity: 0.8,
+        fillOpacity: 0.4,
+        fillColor: '#424242' // Darker grey fill
+    }
+};
+
 // Global variables
 let map = null;
-let gridLayer = null;
+let gridLayer = null; // Canvas layer drawing every grid outline
 let labelLayer = null;
 let noCoverageLayer = null; // Layer for areas WITHOUT S2 coverage
-let gridData = null;
+let gridCount = 0; // Number of grids loaded by the worker (0 until loaded)
+let gridDisplayRequest = 0; // Latest grid display update, so stale worker results are dropped
 let noCoverageData = null; // No coverage area data
-let labelPositions = []; // Track label positions for collision detection
-let searchIndex = []; // Search index for grid names
 let highlightLayer = null; // Layer for highlighting searched grids
-let currentBaseLayer = 'satellite'; // Track current base layer
+let highlightTimeout = null; // Timer that clears a temporary highlight
+let highlightedGridName = null; // Grid kept highlighted until cleared
+let selectedGrid = null; // Last grid picked from search or a tile list
+let currentBaseLayer = null; // Id of the base layer shown
+let searchLocationMarker = null; // Marker at coordinates or a place picked in the search box
+let searchLocationLayer = null; // Tiles covering a place picked in the search box
 
 // Initialise map
 function initMap() {
     map = L.map('map', CONFIG.mapOptions);
 
-    // Add base layers
-    const osmLayer = L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-        attribution: '© OpenStreetMap contributors',
-        maxZoom: 19
-    });
-
-    const satelliteLayer = L.tileLayer('https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}', {
-        attribution: 'Source: Esri, Maxar, Earthstar Geographics, and the GIS User Community',
-        maxZoom: 19
-    });
-
-    // Set default layer to satellite
-    satelliteLayer.addTo(map);
+    // Base layers and overlays are added by the layer manager once its config has loaded
+    map.layerControl = L.control.layers({}).addTo(map);
+    map.baseLayers = {}; // Base layer id -> layer
 
-    // Layer control with coverage area
-    const baseLayers = {
-        'OpenStreetMap': osmLayer,
-        'Satellite': satelliteLayer
-    };
-
-    // Create layer control without overlay layers initially
-    const layerControl = L.control.layers(baseLayers).addTo(map);
-
-    // Store reference to layer control for later use
-    map.layerControl = layerControl;
-
-    // Add event listeners for base layer changes
-    map.on('baselayerchange', function (e) {
-        currentBaseLayer = e.name.toLowerCase();
-        updateNoCoverageStyle();
-    });
+    // Grid outlines are drawn on canvas tiles between the base layers and the overlays
+    map.createPane('gridPane').style.zIndex = 350;
 
     // Add event listeners
     map.on('zoomend moveend', updateGridDisplay);
-    map.on('zoomstart', hideZoomInfo);
-
-    // Load grid data and no-coverage areas
+    map.on('click', handleMapClick);
+
+    // Setup side panels and tools
+    setupPanels();
+    setupLayerManager();
+    setupGeocoder();
+    setupAoiTool();
+    setupExportPanel();
+    setupCrossReferenceTool();
+    setupTileInfoPanel();
+    setupScenePanel();
+    setupWorkingSet();
+    setupOverlapTool();
+    setupPermalink();
+    setupUtmGraticule();
+    setupThemePanel();
+    setupOfflineSupport();
+
+    // Load grid data, no-coverage areas, relative orbits and the orbit table
     loadGridData();
     loadNoCoverageArea();
+    loadOrbitTable().then(loadOrbits); // Swaths are built from the orbit table when there is no swath file
 }
 
-// Load GeoJSON data
+// Load GeoJSON data in the grid worker, which parses and indexes it off the main thread
 async function loadGridData() {
     try {
-        const response = await fetch(CONFIG.geojsonPath);
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
+        startGridWorker();
+        const { count } = await loadGridSystem('sentinel2', CONFIG.geojsonPath, updateLoadingProgress);
+        gridCount = count;
+        console.log(`Loaded ${gridCount} grid features in worker`);
 
-        gridData = await response.json();
-        console.log(`Loaded ${gridData.features.length} grid features`);
-
-        // Debug: log first feature to understand structure
-        if (gridData.features.length > 0) {
-            console.log('Sample feature:', gridData.features[0]);
-            console.log('Sample geometry:', gridData.features[0].geometry);
-            console.log('Sample properties:', gridData.features[0].properties);
-        }
-
-        // Initial grid display
-        updateGridDisplay();
-
-        // Build search index
-        buildSearchIndex();
+        // Draw the grid outlines and initial labels, and offer the other grid systems as overlays
+        gridLayer = createGridCanvasLayer().addTo(map);
+        setupGridSystemLayers();
+        await updateGridDisplay();
 
         // Setup search functionality
         setupSearch();
 
+        // Restore tiles saved from the last session
+        await restoreWorkingSet();
+
+        // Apply any tiles named in the URL
+        await applyPendingPermalink();
+
         // Hide loading indicator
         hideLoading();
 
@@ -110,79 +148,79 @@ async function loadGridData() {
     }
 }
 
-// Update grid display based on zoom and bounds
-function updateGridDisplay() {
+// Update the labels for the current view
+// The outlines themselves are drawn by the canvas grid layer, so the worker is only asked for grids at label zoom
+async function updateGridDisplay() {
     const zoom = map.getZoom();
+    const requestId = ++gridDisplayRequest;
+
+    if (gridCount === 0) return;
 
-    if (zoom < CONFIG.minZoomForGrids) {
-        clearGrids();
-        showZoomInfo();
+    if (zoom < CONFIG.labelZoomThreshold) {
+        clearLabels();
         return;
     }
 
-    hideZoomInfo();
-
-    if (!gridData) return;
+    try {
+        const bounds = map.getBounds();
+        console.log('Current map bounds:', bounds.toString(), 'Zoom:', zoom);
 
-    const bounds = map.getBounds();
-    console.log('Current map bounds:', bounds.toString(), 'Zoom:', zoom);
+        const queryStart = performance.now();
+        const visibleGrids = await getVisibleGrids(bounds);
 
-    const visibleGrids = getVisibleGrids(bounds);
-    console.log(`Found ${visibleGrids.length} visible grids out of ${gridData.features.length} total`);
+        // A newer update started while the worker was busy
+        if (requestId !== gridDisplayRequest) return;
 
-    // Determine rendering mode based on zoom level
-    const showAsPoints = zoom < CONFIG.pointZoomThreshold;
-    const maxToRender = showAsPoints ? CONFIG.maxPointsToRender : CONFIG.maxGridsToRender;
+        const queryTime = (performance.now() - queryStart).toFixed(2);
+        console.log(`Found ${visibleGrids.length} visible grids out of ${gridCount} total in ${queryTime} ms`);
 
-    if (visibleGrids.length > maxToRender) {
-        console.warn(`Too many grids to render: ${visibleGrids.length}. Limiting to ${maxToRender}`);
-        visibleGrids.splice(maxToRender);
+        clearLabels();
+        addPolygonLabels(visibleGrids);
+    } catch (error) {
+        console.error('Error updating grid display:', error);
     }
+}
 
-    if (showAsPoints) {
-        renderGridsAsPoints(visibleGrids);
-    } else {
-        renderGridsAsPolygons(visibleGrids);
-    }
+// Find the tile under a map click, since canvas tiles are not interactive
+// Where tiles overlap, the one holding the point most centrally is picked
+async function handleMapClick(e) {
+    if (gridCount === 0 || lassoActive || aoiDrawing) return;
 
-    // Ensure no-coverage layer stays on top after grid updates
-    if (noCoverageLayer && map.hasLayer(noCoverageLayer)) {
-        noCoverageLayer.bringToFront();
+    if (overlapModeActive) {
+        showTilesAtPoint(e.latlng);
+        return;
     }
-}
-
-// Get grids within current map bounds (with world wrapping)
-function getVisibleGrids(bounds) {
-    const visibleGrids = [];
 
-    // Get the wrapped bounds to handle world repetition
-    const wrappedBounds = getWrappedBounds(bounds);
+    // With other grid systems shown, list the grids under the click from each of them
+    if (hasActiveGridOverlays()) {
+        reportGridsAtPoint(e.latlng);
+    }
 
-    gridData.features.forEach(feature => {
-        if (!feature.geometry || !feature.geometry.coordinates) return;
+    if (!map.hasLayer(gridLayer)) return;
 
-        const geometry = feature.geometry;
-        let isVisible = false;
+    const latlng = e.latlng.wrap();
+    const grids = await findGridsAtPoint(latlng.lat, latlng.lng);
 
-        // Check visibility against each wrapped bounds
-        wrappedBounds.forEach(wrappedBound => {
-            if (isVisible) return; // Already found visible
+    if (grids.length > 0) {
+        handleGridClick(e, grids[0].feature);
+    }
+}
 
-            if (geometry.type === 'Polygon') {
-                isVisible = isPolygonIntersectingBounds(geometry.coordinates[0], wrappedBound);
-            } else if (geometry.type === 'MultiPolygon') {
-                isVisible = geometry.coordinates.some(polygon =>
-                    isPolygonIntersectingBounds(polygon[0], wrappedBound)
-                );
-            }
-        });
+// Get grids ({ name, feature, centroid }) within current map bounds (with world wrapping)
+function getVisibleGrids(bounds) {
+    return queryGrids(getVisibleBBoxes(bounds));
+}
 
-        if (isVisible) {
-            visibleGrids.push(feature);
-        }
-    });
+// Count the grids within current map bounds, without fetching their features
+function countVisibleGrids(bounds) {
+    return countGrids(getVisibleBBoxes(bounds));
+}
 
-    return visibleGrids;
+// Get bounding boxes for the worker's spatial index, one for each wrapped bounds to handle world repetition
+function getVisibleBBoxes(bounds) {
+    return getWrappedBounds(bounds).map(wrappedBound =>
+        [wrappedBound.getWest(), wrappedBound.getSouth(), wrappedBound.getEast(), wrappedBound.getNorth()]
+    );
 }
 
 // Get wrapped bounds for world repetition
@@ -222,354 +260,129 @@ function getWrappedBounds(bounds) {
     return wrappedBounds;
 }
 
-// Check if polygon intersects with map bounds
-function isPolygonIntersectingBounds(coords, bounds) {
-    if (!coords || coords.length === 0) return false;
+// Split a bounding box crossing the antimeridian into boxes within -180..180
+// The crossing may be given as minLng > maxLng, or as longitudes running past ±180
+function splitBBoxAtAntimeridian(bbox) {
+    let [minLng, minLat, maxLng, maxLat] = bbox;
+    if (maxLng < minLng) maxLng += 360;
 
-    // Get polygon bounding box
-    let minLat = Infinity, maxLat = -Infinity;
-    let minLng = Infinity, maxLng = -Infinity;
+    const offset = getWorldOffset([minLng, minLat, maxLng, maxLat]);
+    minLng += offset;
+    maxLng += offset;
 
-    coords.forEach(coord => {
-        const lng = coord[0];
-        const lat = coord[1];
-        minLat = Math.min(minLat, lat);
-        maxLat = Math.max(maxLat, lat);
-        minLng = Math.min(minLng, lng);
-        maxLng = Math.max(maxLng, lng);
-    });
-
-    // Check if polygon bounding box intersects with map bounds
-    const mapSouth = bounds.getSouth();
-    const mapNorth = bounds.getNorth();
-    const mapWest = bounds.getWest();
-    const mapEast = bounds.getEast();
-
-    // Handle longitude wrapping around 180/-180
-    const lngIntersects = (maxLng >= mapWest && minLng <= mapEast) ||
-        (mapWest > mapEast && (maxLng >= mapWest || minLng <= mapEast));
-
-    const latIntersects = maxLat >= mapSouth && minLat <= mapNorth;
-
-    return lngIntersects && latIntersects;
-}
-
-// Render grids as polygons (high zoom)
-function renderGridsAsPolygons(grids) {
-    clearGrids();
-
-    if (grids.length === 0) return;
-
-    // Reset label collision tracking
-    labelPositions = [];
-
-    gridLayer = L.geoJSON(grids, {
-        style: function (feature) {
-            const name = getGridName(feature);
-            const color = getGridColor(name);
-            return {
-                color: color,
-                weight: 2,
-                opacity: 0.8,
-                fillOpacity: 0.1,
-                fillColor: color
-            };
-        }
-    }).addTo(map);
-
-    // Only add labels if zoom level is high enough
-    const currentZoom = map.getZoom();
-    if (currentZoom >= CONFIG.labelZoomThreshold) {
-        addPolygonLabels(grids);
+    if (maxLng - minLng >= 360) {
+        return [[-180, minLat, 180, maxLat]];
     }
-
-    console.log(`Rendered ${grids.length} grids as polygons${currentZoom >= CONFIG.labelZoomThreshold ? ' with labels' : ''}`);
+    if (maxLng > 180) {
+        return [[minLng, minLat, 180, maxLat], [-180, minLat, maxLng - 360, maxLat]];
+    }
+    if (minLng < -180) {
+        return [[minLng + 360, minLat, 180, maxLat], [-180, minLat, maxLng, maxLat]];
+    }
+    return [[minLng, minLat, maxLng, maxLat]];
 }
 
-// Replace the existing addPolygonLabels function with this updated version:
-
+// Add labels for the grids in view where the label engine finds room for them
 function addPolygonLabels(grids) {
-    const labels = [];
-
-    grids.forEach(feature => {
-        const centroid = getPolygonCentroid(feature.geometry);
-        if (!centroid) return;
-
-        const name = getGridName(feature);
-        const labelPosition = findNonOverlappingPosition(centroid, name);
-
-        if (labelPosition) {
-            const label = L.marker([labelPosition.lat, labelPosition.lng], {
-                icon: L.divIcon({
-                    className: 'grid-label',
-                    html: `<span class="selectable-label">${name}</span>`,
-                    iconSize: [null, null],
-                    iconAnchor: [0, 0]
-                }),
-                interactive: true
-            });
-
-            // Get the actual DOM element after the marker is created
-            label.on('add', function () {
-                const labelElement = label.getElement();
-                if (labelElement) {
-                    const spanElement = labelElement.querySelector('.selectable-label');
-
-                    // Stop all map events from propagating through the label
-                    L.DomEvent.disableClickPropagation(labelElement);
-                    L.DomEvent.disableScrollPropagation(labelElement);
-
-                    // Prevent double-click zoom and handle text selection properly
-                    labelElement.addEventListener('dblclick', function (e) {
-                        L.DomEvent.stopPropagation(e);
-                        L.DomEvent.preventDefault(e);
-
-                        // Clear any existing selections first
-                        if (window.getSelection) {
-                            window.getSelection().removeAllRanges();
-                        }
-
-                        // Select only this label's text
-                        if (spanElement && window.getSelection) {
-                            const range = document.createRange();
-                            range.selectNodeContents(spanElement);
-                            const selection = window.getSelection();
-                            selection.removeAllRanges();
-                            selection.addRange(range);
-                        }
-                    });
-
-                    // Handle single click to select text
-                    labelElement.addEventListener('click', function (e) {
-                        L.DomEvent.stopPropagation(e);
-
-                        // Clear any existing selections
-                        if (window.getSelection) {
-                            window.getSelection().removeAllRanges();
-                        }
-
-                        // Select this label's text
-                        if (spanElement && window.getSelection) {
-                            const range = document.createRange();
-                            range.selectNodeContents(spanElement);
-                            const selection = window.getSelection();
-                            selection.addRange(range);
-                        }
-                    });
-
-                    // Prevent map panning when selecting text
-                    labelElement.addEventListener('mousedown', function (e) {
-                        L.DomEvent.stopPropagation(e);
-                    });
-
-                    labelElement.addEventListener('touchstart', function (e) {
-                        L.DomEvent.stopPropagation(e);
-                    });
-
-                    // Prevent text selection from extending beyond this label
-                    labelElement.addEventListener('selectstart', function (e) {
-                        L.DomEvent.stopPropagation(e);
-                    });
-                }
-            });
-
-            labels.push(label);
-
-            // Track this label position
-            labelPositions.push({
-                lat: labelPosition.lat,
-                lng: labelPosition.lng,
-                width: name.length * 8, // Estimate label width
-                height: 16
-            });
-        }
-    });
+    const labels = placeGridLabels(grids).map(({ name, latlng }) => createGridLabel(name, latlng));
 
     if (labels.length > 0) {
         labelLayer = L.layerGroup(labels).addTo(map);
     }
 }
 
-// Find position for label that doesn't overlap with existing labels
-function findNonOverlappingPosition(centroid, text) {
-    const textWidth = text.length * 8; // Rough estimate
-    const textHeight = 16;
-    const minDistance = 20; // Minimum pixels between labels
-
-    // Convert lat/lng to pixel coordinates for collision detection
-    const centerPixel = map.latLngToContainerPoint([centroid.lat, centroid.lng]);
-
-    // Try positions around the centroid
-    const offsets = [
-        { x: 0, y: 0 }, // Center first
-        { x: 10, y: -5 }, // Right
-        { x: -10, y: -5 }, // Left  
-        { x: 0, y: -15 }, // Top
-        { x: 0, y: 10 }, // Bottom
-        { x: 15, y: -15 }, // Top-right
-        { x: -15, y: -15 }, // Top-left
-        { x: 15, y: 10 }, // Bottom-right
-        { x: -15, y: 10 } // Bottom-left
-    ];
-
-    for (const offset of offsets) {
-        const testPixel = {
-            x: centerPixel.x + offset.x,
-            y: centerPixel.y + offset.y
-        };
-
-        const testLatLng = map.containerPointToLatLng([testPixel.x, testPixel.y]);
-
-        // Check if this position collides with existing labels
-        const collides = labelPositions.some(existing => {
-            const existingPixel = map.latLngToContainerPoint([existing.lat, existing.lng]);
-
-            const distance = Math.sqrt(
-                Math.pow(testPixel.x - existingPixel.x, 2) +
-                Math.pow(testPixel.y - existingPixel.y, 2)
-            );
-
-            return distance < minDistance + (textWidth + existing.width) / 4;
-        });
-
-        if (!collides) {
-            return testLatLng;
-        }
-    }
-
-    // If no non-overlapping position found, don't show label
-    return null;
-}
+// Create a label for a grid with its top left corner at latlng; its text can be selected and copied
+function createGridLabel(name, latlng) {
+    const label = L.marker(latlng, {
+        icon: L.divIcon({
+            className: 'grid-label',
+            html: `<span class="selectable-label">${name}</span>`,
+            iconSize: [null, null],
+            iconAnchor: [0, 0]
+        }),
+        interactive: true
+    });
 
-// Render grids as points (low zoom)
-function renderGridsAsPoints(grids) {
-    clearGrids();
+    // Get the actual DOM element after the marker is created
+    label.on('add', function () {
+        const labelElement = label.getElement();
+        if (labelElement) {
+            const spanElement = labelElement.querySelector('.selectable-label');
 
-    if (grids.length === 0) return;
+            // Stop all map events from propagating through the label
+            L.DomEvent.disableClickPropagation(labelElement);
+            L.DomEvent.disableScrollPropagation(labelElement);
 
-    const markers = grids.map(feature => {
-        const centroid = getPolygonCentroid(feature.geometry);
-        if (!centroid) return null;
+            // Prevent double-click zoom and handle text selection properly
+            labelElement.addEventListener('dblclick', function (e) {
+                L.DomEvent.stopPropagation(e);
+                L.DomEvent.preventDefault(e);
 
-        const name = getGridName(feature);
-        const color = getGridColor(name);
-        const marker = L.circleMarker([centroid.lat, centroid.lng], {
-            radius: 3,
-            color: color,
-            weight: 1,
-            opacity: 0.8,
-            fillOpacity: 0.6,
-            fillColor: color
-        });
+                // Clear any existing selections first
+                if (window.getSelection) {
+                    window.getSelection().removeAllRanges();
+                }
 
-        return marker;
-    }).filter(marker => marker !== null);
+                // Select only this label's text
+                if (spanElement && window.getSelection) {
+                    const range = document.createRange();
+                    range.selectNodeContents(spanElement);
+                    const selection = window.getSelection();
+                    selection.removeAllRanges();
+                    selection.addRange(range);
+                }
+            });
 
-    gridLayer = L.layerGroup(markers).addTo(map);
+            // Handle single click to select text
+            labelElement.addEventListener('click', function (e) {
+                L.DomEvent.stopPropagation(e);
 
-    console.log(`Rendered ${markers.length} grids as points`);
-}
-
-// Calculate polygon centroid
-function getPolygonCentroid(geometry) {
-    if (!geometry || !geometry.coordinates) return null;
+                // Clear any existing selections
+                if (window.getSelection) {
+                    window.getSelection().removeAllRanges();
+                }
 
-    let coords;
-    if (geometry.type === 'Polygon') {
-        coords = geometry.coordinates[0];
-    } else if (geometry.type === 'MultiPolygon') {
-        coords = geometry.coordinates[0][0];
-    } else {
-        return null;
-    }
+                // Select this label's text
+                if (spanElement && window.getSelection) {
+                    const range = document.createRange();
+                    range.selectNodeContents(spanElement);
+                    const selection = window.getSelection();
+                    selection.addRange(range);
+                }
+            });
 
-    if (!coords || coords.length === 0) return null;
+            // Prevent map panning when selecting text
+            labelElement.addEventListener('mousedown', function (e) {
+                L.DomEvent.stopPropagation(e);
+            });
 
-    // Calculate centroid using average of coordinates
-    let sumLat = 0, sumLng = 0;
-    const validCoords = coords.filter(coord => coord.length >= 2);
+            labelElement.addEventListener('touchstart', function (e) {
+                L.DomEvent.stopPropagation(e);
+            });
 
-    validCoords.forEach(coord => {
-        sumLng += coord[0];
-        sumLat += coord[1];
+            // Prevent text selection from extending beyond this label
+            labelElement.addEventListener('selectstart', function (e) {
+                L.DomEvent.stopPropagation(e);
+            });
+        }
     });
 
-    return {
-        lat: sumLat / validCoords.length,
-        lng: sumLng / validCoords.length
-    };
-}
-
-// Get grid name from feature properties
-function getGridName(feature) {
-    return feature.properties?.name ||
-        feature.properties?.Name ||
-        feature.properties?.title ||
-        feature.properties?.TITLE ||
-        feature.properties?.id ||
-        'Grid';
-}
-
-// Generate contrasting colors for each column (01-60)
-function generateColumnColors() {
-    const colors = [];
-    const totalColumns = 60;
-
-    // Use HSL color space for even distribution and high contrast
-    for (let i = 0; i < totalColumns; i++) {
-        // Space hues evenly around the color wheel with offset for better contrast
-        const hue = (i * 137.508) % 360; // Golden angle for optimal spacing
-        const saturation = 70 + (i % 3) * 10; // Vary saturation slightly
-        const lightness = 45 + (i % 2) * 15; // Alternate lightness for contrast
-        colors.push(`hsl(${hue}, ${saturation}%, ${lightness}%)`);
-    }
-
-    return colors;
+    return label;
 }
 
-// Get color for a grid based on its column number
-function getGridColor(gridName) {
-    if (!gridName || gridName.length < 2) return '#e74c3c'; // Default red
-
-    // Extract column number (first 2 digits)
-    const columnStr = gridName.substring(0, 2);
-    const columnNum = parseInt(columnStr, 10);
-
-    if (isNaN(columnNum) || columnNum < 1 || columnNum > 60) {
-        return '#e74c3c'; // Default red for invalid columns
-    }
-
-    const colors = generateColumnColors();
-    return colors[columnNum - 1]; // Convert to 0-based index
+// Get color for a grid from the theme, or the colour of its grid system if it has no zone
+function getGridColor(gridName, systemId = 'sentinel2') {
+    const system = getGridSystem(systemId);
+    const zone = system.getZone(gridName);
+    return zone ? getThemeColor(zone, system.getBand(gridName)) : system.color;
 }
 
-// Clear existing grids and labels
-function clearGrids() {
-    if (gridLayer) {
-        map.removeLayer(gridLayer);
-        gridLayer = null;
-    }
+// Clear existing labels
+function clearLabels() {
     if (labelLayer) {
         map.removeLayer(labelLayer);
         labelLayer = null;
     }
-    labelPositions = [];
-}
-
-// Build search index for quick grid lookup
-function buildSearchIndex() {
-    searchIndex = gridData.features.map(feature => {
-        const name = getGridName(feature);
-        const centroid = getPolygonCentroid(feature.geometry);
-        return {
-            name: name.toUpperCase(),
-            originalName: name,
-            feature: feature,
-            centroid: centroid
-        };
-    }).filter(item => item.centroid !== null);
-
-    console.log(`Built search index with ${searchIndex.length} grids`);
 }
 
 // Setup search functionality
@@ -579,17 +392,30 @@ function setupSearch() {
 
     if (!searchInput || !searchResults) return;
 
+    // Wait for a pause in typing so every keystroke does not search 60,000 tiles
+    let searchTimeout = null;
+
     // Search as user types
     searchInput.addEventListener('input', function (e) {
         const query = e.target.value.trim().toUpperCase();
+        clearTimeout(searchTimeout);
 
         if (query.length === 0) {
             hideSearchResults();
             clearHighlight();
+            clearSearchLocation();
+            selectedGrid = null;
             return;
         }
 
-        performSearch(query);
+        // Coordinates are offered as a location to go to instead of a name search
+        const coordinate = parseCoordinates(query);
+        if (coordinate) {
+            displayCoordinateResult(coordinate);
+            return;
+        }
+
+        searchTimeout = setTimeout(() => performSearch(query), 150);
     });
 
     // Hide results when clicking outside
@@ -599,84 +425,296 @@ function setupSearch() {
         }
     });
 
-    // Clear search on escape
+    // Move through the results with the arrow keys, pick one or go to coordinates or search places
+    // on enter, clear search on escape
     searchInput.addEventListener('keydown', function (e) {
-        if (e.key === 'Escape') {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            moveSearchSelection(e.key === 'ArrowDown' ? 1 : -1);
+        } else if (e.key === 'Enter') {
+            const selected = searchResults.querySelector('.search-result.active');
+            if (selected && searchResults.classList.contains('show')) {
+                selected.click();
+                return;
+            }
+
+            // Searching now replaces any search still waiting for typing to pause
+            clearTimeout(searchTimeout);
+            const query = searchInput.value.trim().toUpperCase();
+            const coordinate = parseCoordinates(query);
+            if (coordinate && !coordinate.error) {
+                goToCoordinate(coordinate);
+            } else if (!coordinate && query.length > 0) {
+                performSearch(query, true);
+            }
+        } else if (e.key === 'Escape') {
             searchInput.value = '';
             hideSearchResults();
             clearHighlight();
+            clearSearchLocation();
+            selectedGrid = null;
         }
     });
 }
 
-// Perform search and display results
-function performSearch(query) {
-    const results = searchIndex.filter(item =>
-        item.name.includes(query)
-    ).slice(0, 10); // Limit to 10 results
+// Search tile names in the grid worker and places with the geocoder, then display both
+// Places are searched while typing only if the geocoder allows it, otherwise on Enter
+async function performSearch(query, searchPlaces = geocoder !== null && geocoder.autocomplete) {
+    const placeQuery = document.getElementById('grid-search').value.trim();
+
+    const [{ results, total }, places] = await Promise.all([
+        searchGrids(query, CONFIG.searchResultLimit),
+        searchPlaces ? geocodePlaces(placeQuery, 5) : Promise.resolve([])
+    ]);
+
+    // Ignore results for a query the user has already changed
+    if (document.getElementById('grid-search').value.trim().toUpperCase() !== query) return;
 
-    displaySearchResults(results, query);
+    displaySearchResults(results, total, places, query, searchPlaces);
 }
 
-// Display search results
-function displaySearchResults(results, query) {
+// Display tile and place search results
+// Tile matches come first when the query starts like a tile ID, places first otherwise
+function displaySearchResults(results, total, places, query, placesSearched) {
     const searchResults = document.getElementById('search-results');
+    const canSearchPlaces = !placesSearched && geocoder !== null && query.length >= CONFIG.geocoder.minQueryLength;
+    const placeHint = canSearchPlaces ? '<div class="search-result-hint">Press Enter to search places</div>' : '';
 
-    if (results.length === 0) {
-        searchResults.innerHTML = '<div class="no-results">No grids found</div>';
+    if (results.length === 0 && places.length === 0) {
+        searchResults.innerHTML = `<div class="no-results">No grids${placesSearched ? ' or places' : ''} found</div>${placeHint}`;
         searchResults.classList.add('show');
         return;
     }
 
-    const html = results.map(result => {
+    const tileHtml = results.map(result => {
         const centroid = result.centroid;
         const lat = centroid.lat.toFixed(2);
         const lng = centroid.lng.toFixed(2);
 
         return `
-            <div class="search-result" data-name="${result.originalName}">
-                <div class="search-result-name">${result.originalName}</div>
+            <div class="search-result" data-name="${result.name}">
+                <div class="search-result-name">${highlightRanges(result.name, result.ranges)}</div>
                 <div class="search-result-info">Lat: ${lat}, Lng: ${lng}</div>
             </div>
         `;
-    }).join('');
+    }).join('') + (total > results.length ?
+        `<div class="search-result-hint">Showing ${results.length} of ${total} matching tiles</div>` : '');
+
+    const placeQuery = normalisePlaceName(query);
+    const placeHtml = places.map((place, index) => `
+        <div class="search-result place-result" data-place="${index}">
+            <div class="search-result-name">${highlightRanges(place.name, getPlaceMatchRanges(place.name, placeQuery))} <span class="search-result-type">${escapeHtml(place.type)}</span></div>
+            <div class="search-result-info">${escapeHtml(place.detail)}</div>
+        </div>
+    `).join('');
 
-    searchResults.innerHTML = html;
+    const tilesFirst = /^\d/.test(query);
+    searchResults.innerHTML = (tilesFirst ? tileHtml + placeHtml : placeHtml + tileHtml) + placeHint;
     searchResults.classList.add('show');
 
     // Add click handlers
     searchResults.querySelectorAll('.search-result').forEach(element => {
         element.addEventListener('click', function () {
-            const gridName = this.dataset.name;
-            zoomToGrid(gridName);
+            if (this.dataset.place !== undefined) {
+                goToPlace(places[Number(this.dataset.place)]);
+            } else {
+                zoomToGrid(this.dataset.name);
+            }
             hideSearchResults();
         });
+        element.addEventListener('mouseenter', function () {
+            setSearchSelection(this);
+        });
+    });
+}
+
+// Wrap the matched [start, end) spans of a name in <mark> tags, escaping the rest
+function highlightRanges(text, ranges) {
+    let html = '';
+    let position = 0;
+
+    (ranges || []).forEach(([start, end]) => {
+        html += escapeHtml(text.slice(position, start)) + `<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+        position = end;
+    });
+
+    return html + escapeHtml(text.slice(position));
+}
+
+// Find where a normalised place query appears in a place name, if it does
+function getPlaceMatchRanges(name, placeQuery) {
+    const key = normalisePlaceName(name);
+
+    // Positions only line up with the original name when normalising kept every character
+    if (placeQuery.length === 0 || key.length !== name.length) return [];
+
+    const position = key.indexOf(placeQuery);
+    return position < 0 ? [] : [[position, position + placeQuery.length]];
+}
+
+// Move the keyboard selection up or down the search results, wrapping at either end
+function moveSearchSelection(step) {
+    const searchResults = document.getElementById('search-results');
+    if (!searchResults.classList.contains('show')) return;
+
+    const items = Array.from(searchResults.querySelectorAll('.search-result'));
+    if (items.length === 0) return;
+
+    const current = items.findIndex(item => item.classList.contains('active'));
+    const next = current < 0 ?
+        (step > 0 ? 0 : items.length - 1) :
+        (current + step + items.length) % items.length;
+
+    setSearchSelection(items[next]);
+}
+
+// Mark one search result as selected
+function setSearchSelection(element) {
+    document.querySelectorAll('#search-results .search-result.active').forEach(item => {
+        item.classList.remove('active');
     });
+    element.classList.add('active');
+    element.scrollIntoView({ block: 'nearest' });
+}
+
+// Zoom to a place from the geocoder and highlight the tiles covering it
+async function goToPlace(place) {
+    clearSearchLocation();
+    const marker = L.marker([place.lat, place.lng], { title: place.name }).addTo(map);
+    searchLocationMarker = marker;
+
+    if (place.bbox) {
+        // Places across the antimeridian are framed on one copy of the world
+        const [minLng, minLat, maxLng, maxLat] = place.bbox;
+        map.fitBounds([[minLat, minLng], [maxLat, maxLng < minLng ? maxLng + 360 : maxLng]], { maxZoom: 11 });
+    } else {
+        map.setView([place.lat, place.lng], Math.max(map.getZoom(), 10));
+    }
+
+    document.getElementById('grid-search').value = place.name;
+
+    if (gridCount === 0) return;
+
+    const grids = place.bbox ? await queryGrids(splitBBoxAtAntimeridian(place.bbox)) : await findGridsAtPoint(place.lat, place.lng);
+
+    // Another location was picked while the worker was busy
+    if (searchLocationMarker !== marker) return;
+
+    searchLocationLayer = L.geoJSON(grids.map(grid => grid.feature), {
+        style: {
+            color: '#00bcd4',
+            weight: 3,
+            opacity: 1,
+            fillOpacity: 0.15,
+            fillColor: '#00bcd4'
+        },
+        interactive: false
+    }).addTo(map);
+
+    console.log(`${grids.length} tiles cover ${place.name}`);
+}
+
+// Show a parsed coordinate (or why it could not be parsed) as the only search result
+function displayCoordinateResult(coordinate) {
+    const searchResults = document.getElementById('search-results');
+
+    if (coordinate.error) {
+        searchResults.innerHTML = `<div class="no-results search-error">${escapeHtml(coordinate.error)}</div>`;
+        searchResults.classList.add('show');
+        return;
+    }
+
+    searchResults.innerHTML = `
+        <div class="search-result">
+            <div class="search-result-name">${escapeHtml(coordinate.label)}</div>
+            <div class="search-result-info">Press Enter or click to go to this location</div>
+        </div>
+    `;
+    searchResults.classList.add('show');
+
+    searchResults.querySelector('.search-result').addEventListener('click', function () {
+        goToCoordinate(coordinate);
+    });
+}
+
+// Go to a parsed coordinate, mark it and list the tiles containing it
+async function goToCoordinate(coordinate) {
+    const { lat, lng, label } = coordinate;
+
+    clearSearchLocation();
+    searchLocationMarker = L.marker([lat, lng], { title: label }).addTo(map);
+    map.setView([lat, lng], Math.max(map.getZoom(), 10));
+
+    if (gridCount === 0) return;
+
+    const grids = await findGridsAtPoint(lat, lng);
+    displayCoordinateTiles(label, grids);
+}
+
+// List the tiles containing a coordinate, the one holding it most centrally first
+function displayCoordinateTiles(label, grids) {
+    const searchResults = document.getElementById('search-results');
+
+    if (grids.length === 0) {
+        searchResults.innerHTML = `<div class="no-results">No Sentinel-2 tiles contain ${escapeHtml(label)}</div>`;
+        searchResults.classList.add('show');
+        return;
+    }
+
+    const html = grids.map(grid => `
+        <div class="search-result" data-name="${grid.name}">
+            <div class="search-result-name">${grid.name}</div>
+            <div class="search-result-info">${(grid.edgeDistance / 1000).toFixed(1)} km from tile edge</div>
+        </div>
+    `).join('');
+
+    searchResults.innerHTML = `<div class="search-result-header">Tiles containing ${escapeHtml(label)}</div>${html}`;
+    searchResults.classList.add('show');
+
+    searchResults.querySelectorAll('.search-result').forEach(element => {
+        element.addEventListener('click', function () {
+            const grid = grids.find(item => item.name === this.dataset.name);
+            if (grid) {
+                showTileInfo(grid.feature);
+            }
+        });
+    });
+}
+
+// Remove the marker and tiles shown for coordinates or a place
+function clearSearchLocation() {
+    if (searchLocationMarker) {
+        map.removeLayer(searchLocationMarker);
+        searchLocationMarker = null;
+    }
+    if (searchLocationLayer) {
+        map.removeLayer(searchLocationLayer);
+        searchLocationLayer = null;
+    }
 }
 
 // Zoom to specific grid
-function zoomToGrid(gridName) {
-    const searchItem = searchIndex.find(item =>
-        item.originalName === gridName
-    );
+async function zoomToGrid(gridName) {
+    const grid = await fetchGridByName(gridName);
 
-    if (!searchItem || !searchItem.centroid) return;
+    if (!grid || !grid.centroid) return;
 
-    const { lat, lng } = searchItem.centroid;
+    const { lat, lng } = grid.centroid;
 
-    // Zoom to grid location
-    map.setView([lat, lng], 10);
+    // Zoom to grid location, staying on the copy of the world in view
+    map.setView([lat, wrapLngNear(lng, map.getCenter().lng)], 10);
 
     // Highlight the grid
-    highlightGrid(searchItem.feature);
+    highlightGrid(grid.feature);
 
     // Update search input
     document.getElementById('grid-search').value = gridName;
 }
 
-// Highlight a specific grid
-function highlightGrid(feature) {
+// Highlight a specific grid, temporarily unless persist is set
+function highlightGrid(feature, persist = false) {
     clearHighlight();
+    selectedGrid = feature;
 
     const name = getGridName(feature);
     const color = getGridColor(name);
@@ -684,7 +722,7 @@ function highlightGrid(feature) {
     highlightLayer = L.geoJSON(feature, {
         style: {
             color: '#ffff00', // Bright yellow highlight
-            weight: 4,
+            weight: gridTheme.lineWeight + 2, // Stands out from the grid outlines
             opacity: 1,
             fillOpacity: 0.3,
             fillColor: '#ffff00'
@@ -692,17 +730,30 @@ function highlightGrid(feature) {
     }).addTo(map);
 
     // Remove highlight after 3 seconds
-    setTimeout(() => {
-        clearHighlight();
-    }, 3000);
+    if (persist) {
+        highlightedGridName = name;
+        updatePermalink();
+    } else {
+        highlightTimeout = setTimeout(() => {
+            clearHighlight();
+        }, 3000);
+    }
 }
 
 // Clear grid highlight
 function clearHighlight() {
+    clearTimeout(highlightTimeout);
+    highlightTimeout = null;
+
     if (highlightLayer) {
         map.removeLayer(highlightLayer);
         highlightLayer = null;
     }
+
+    if (highlightedGridName) {
+        highlightedGridName = null;
+        updatePermalink();
+    }
 }
 
 // Hide search results
@@ -713,27 +764,17 @@ function hideSearchResults() {
     }
 }
 
-// Get no-coverage styling based on current base layer
+// Get no-coverage styling for the current base layer
+// A layer's noCoverageStyle names one of NO_COVERAGE_STYLES or gives its own style options
 function getNoCoverageStyle() {
-    if (currentBaseLayer === 'satellite') {
-        // Lighter styling for satellite view
-        return {
-            color: '#9e9e9e', // Lighter grey outline
-            weight: 1,
-            opacity: 0.9,
-            fillOpacity: 0.5, // Slightly more prominent
-            fillColor: '#bdbdbd' // Much lighter grey fill
-        };
-    } else {
-        // Original darker styling for OSM
-        return {
-            color: '#757575', // Dark grey outline
-            weight: 1,
-            opacity: 0.8,
-            fillOpacity: 0.4,
-            fillColor: '#424242' // Darker grey fill
-        };
+    const config = getManagedLayerConfig(currentBaseLayer);
+    const style = config ? config.noCoverageStyle : null;
+
+    if (style && typeof style === 'object') {
+        return { ...NO_COVERAGE_STYLES.map, ...style };
     }
+
+    return NO_COVERAGE_STYLES[style] || NO_COVERAGE_STYLES.map;
 }
 
 // Update no-coverage layer styling
@@ -757,14 +798,15 @@ function updateNoCoverageStyle() {
 // Load areas WITHOUT Sentinel-2 coverage
 async function loadNoCoverageArea() {
     try {
-        const response = await fetch(CONFIG.noCoverageAreaPath);
-        if (!response.ok) {
+        // The worker dissolves the polygons into one simplified multipolygon and indexes them for tile queries
+        const noCoverage = await loadNoCoverageAreas(CONFIG.noCoverageAreaPath, CONFIG.noCoverageTolerance);
+        if (!noCoverage) {
             console.warn('No-coverage area file not found, continuing without it');
             return;
         }
 
-        noCoverageData = await response.json();
-        console.log(`Loaded Sentinel-2 no-coverage areas with ${noCoverageData.features?.length || 1} features`);
+        noCoverageData = { type: 'Feature', properties: {}, geometry: noCoverage.geometry };
+        console.log(`Loaded Sentinel-2 no-coverage areas as ${noCoverage.polygonCount} polygons with ${noCoverage.vertexCount} vertices`);
 
         // Create no-coverage layer
         createNoCoverageLayer();
@@ -774,6 +816,18 @@ async function loadNoCoverageArea() {
     }
 }
 
+// Hide or show tiles lying wholly in the no-coverage areas, then redraw the grid
+async function setHideUncoveredTiles(hidden) {
+    try {
+        await setHideUncoveredGrids(hidden);
+        gridLayer.redraw();
+        updateGridDisplay();
+    } catch (error) {
+        console.warn('Failed to change uncovered tile visibility:', error);
+        document.getElementById('hide-uncovered-tiles').checked = !hidden;
+    }
+}
+
 // Create and setup no-coverage layer
 function createNoCoverageLayer() {
     if (!noCoverageData) return;
@@ -805,8 +859,13 @@ function createNoCoverageLayer() {
         map.layerControl.addOverlay(noCoverageLayer, 'No S2 Coverage Areas');
     }
 
-    // Add no-coverage layer to map by default
-    noCoverageLayer.addTo(map);
+    // Tiles can be hidden once the worker can measure them against the no-coverage areas
+    document.getElementById('hide-uncovered-tiles').disabled = false;
+
+    // Add no-coverage layer to map by default, unless the URL turned it off
+    if (isNoCoverageVisibleInPermalink()) {
+        noCoverageLayer.addTo(map);
+    }
 
     // Ensure the layer is brought to front after being added
     setTimeout(() => {
@@ -819,16 +878,47 @@ function createNoCoverageLayer() {
 }
 
 // Show/hide UI elements
+function updateLoadingProgress({ stage, loaded, total }) {
+    const message = document.getElementById('loading-message');
+    const bar = document.getElementById('loading-progress-bar');
+    const megabytes = bytes => (bytes / 1048576).toFixed(1);
+
+    // Downloading fills the first 80% of the bar
+    if (stage === 'download') {
+        if (total > 0) {
+            message.textContent = `Downloading Sentinel-2 grids... ${megabytes(loaded)} of ${megabytes(total)} MB`;
+            bar.style.width = `${Math.min(loaded / total, 1) * 80}%`;
+        } else {
+            message.textContent = `Downloading Sentinel-2 grids... ${megabytes(loaded)} MB`;
+        }
+    } else if (stage === 'parse') {
+        message.textContent = 'Parsing grid data...';
+        bar.style.width = '85%';
+    } else if (stage === 'index') {
+        message.textContent = 'Building grid indexes...';
+        bar.style.width = '95%';
+    }
+}
+
 function hideLoading() {
     document.getElementById('loading').classList.add('hidden');
 }
 
-function showZoomInfo() {
-    document.getElementById('zoom-info').classList.remove('hidden');
+function showPanel(panelId) {
+    document.getElementById(panelId).classList.remove('hidden');
 }
 
-function hideZoomInfo() {
-    document.getElementById('zoom-info').classList.add('hidden');
+function hidePanel(panelId) {
+    document.getElementById(panelId).classList.add('hidden');
+}
+
+// Wire up close buttons on side panels
+function setupPanels() {
+    document.querySelectorAll('.panel-close').forEach(button => {
+        button.addEventListener('click', function () {
+            hidePanel(this.dataset.panel);
+        });
+    });
 }
 
 function showError(message) {
@@ -854,6 +944,16 @@ function debounce(func, wait) {
     };
 }
 
+// Escape text for safe insertion into HTML
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 // Performance optimised update function
 const debouncedUpdate = debounce(updateGridDisplay, 100);
 
@@ -0,0 +1,127 @@
+// Static packed Hilbert R-tree for fast bounding box queries
+// Kept free of Leaflet and DOM references so it can be reused anywhere
+
+// Build an index over bounding boxes given as [minLng, minLat, maxLng, maxLat]
+// Item ids returned by searches are positions in the bboxes array
+function buildSpatialIndex(bboxes, nodeSize = 16) {
+    const numItems = bboxes.length;
+
+    // Work out how many nodes each level of the tree needs
+    const levelBounds = [numItems * 4];
+    let count = numItems;
+    let numNodes = numItems;
+    do {
+        count = Math.ceil(count / nodeSize);
+        numNodes += count;
+        levelBounds.push(numNodes * 4);
+    } while (count > 1);
+
+    const boxes = new Float64Array(numNodes * 4);
+    const indices = new Uint32Array(numNodes);
+
+    if (numItems === 0) {
+        return { nodeSize, numItems, levelBounds, boxes, indices };
+    }
+
+    const extent = mergeBBoxes(bboxes);
+    const width = extent[2] - extent[0] || 1;
+    const height = extent[3] - extent[1] || 1;
+    const hilbertMax = (1 << 16) - 1;
+
+    // Sort items along a Hilbert curve through their centres so nearby items share nodes
+    const hilbertValues = bboxes.map(bbox => getHilbertValue(
+        Math.floor(hilbertMax * ((bbox[0] + bbox[2]) / 2 - extent[0]) / width),
+        Math.floor(hilbertMax * ((bbox[1] + bbox[3]) / 2 - extent[1]) / height)
+    ));
+    const order = bboxes.map((bbox, index) => index)
+        .sort((a, b) => hilbertValues[a] - hilbertValues[b]);
+
+    order.forEach((itemId, position) => {
+        boxes.set(bboxes[itemId], position * 4);
+        indices[position] = itemId;
+    });
+
+    // Build parent nodes level by level; each node stores the position of its first child
+    let position = numItems * 4;
+    let childPosition = 0;
+    for (let level = 0; level < levelBounds.length - 1; level++) {
+        const levelEnd = levelBounds[level];
+
+        while (childPosition < levelEnd) {
+            const firstChild = childPosition;
+            let minLng = Infinity, minLat = Infinity;
+            let maxLng = -Infinity, maxLat = -Infinity;
+
+            for (let i = 0; i < nodeSize && childPosition < levelEnd; i++) {
+                minLng = Math.min(minLng, boxes[childPosition++]);
+                minLat = Math.min(minLat, boxes[childPosition++]);
+                maxLng = Math.max(maxLng, boxes[childPosition++]);
+                maxLat = Math.max(maxLat, boxes[childPosition++]);
+            }
+
+            indices[position / 4] = firstChild;
+            boxes[position++] = minLng;
+            boxes[position++] = minLat;
+            boxes[position++] = maxLng;
+            boxes[position++] = maxLat;
+        }
+    }
+
+    return { nodeSize, numItems, levelBounds, boxes, indices };
+}
+
+// Find the ids of all items whose bounding box intersects a bounding box
+function searchSpatialIndex(index, bbox) {
+    const results = [];
+    if (index.numItems === 0) return results;
+
+    const { boxes, indices, levelBounds, nodeSize, numItems } = index;
+    const queue = [];
+    let nodePosition = boxes.length - 4; // Root node
+
+    while (nodePosition !== undefined) {
+        // Children of a node are stored together, up to the end of their level
+        const levelEnd = levelBounds.find(bound => bound > nodePosition);
+        const end = Math.min(nodePosition + nodeSize * 4, levelEnd);
+
+        for (let position = nodePosition; position < end; position += 4) {
+            if (boxes[position + 2] < bbox[0] || boxes[position + 3] < bbox[1] ||
+                boxes[position] > bbox[2] || boxes[position + 1] > bbox[3]) {
+                continue;
+            }
+
+            if (position < numItems * 4) {
+                results.push(indices[position / 4]);
+            } else {
+                queue.push(indices[position / 4]);
+            }
+        }
+
+        nodePosition = queue.pop();
+    }
+
+    return results;
+}
+
+// Distance along a Hilbert curve of order 16 for integer coordinates
+function getHilbertValue(x, y) {
+    const size = 1 << 16;
+    let distance = 0;
+
+    for (let step = size >> 1; step > 0; step >>= 1) {
+        const rx = (x & step) > 0 ? 1 : 0;
+        const ry = (y & step) > 0 ? 1 : 0;
+        distance += step * step * ((3 * rx) ^ ry);
+
+        // Rotate the quadrant so the curve stays continuous
+        if (ry === 0) {
+            if (rx === 1) {
+                x = size - 1 - x;
+                y = size - 1 - y;
+            }
+            [x, y] = [y, x];
+        }
+    }
+
+    return distance;
+}
@@ -0,0 +1,84 @@
+// Minimal STAC API client for finding Sentinel-2 scenes of a tile
+// Kept free of Leaflet and DOM references so it can be reused anywhere
+
+// Search a STAC API for the scenes of one tile between two dates (YYYY-MM-DD)
+// Resolves to { items, next } where next is the link to the following page, or null
+async function searchStacItems(options, { tileId, start, end, maxCloudCover }) {
+    const query = {
+        [options.tileProperty]: { eq: formatStacTileCode(options.tileProperty, tileId) }
+    };
+    if (maxCloudCover < 100) {
+        query['eo:cloud_cover'] = { lte: maxCloudCover };
+    }
+
+    return requestStacPage({
+        href: `${options.url.replace(/\/$/, '')}/search`,
+        method: 'POST',
+        body: {
+            collections: [options.collection],
+            datetime: `${start}T00:00:00Z/${end}T23:59:59Z`,
+            query,
+            sortby: [{ field: 'properties.datetime', direction: 'desc' }],
+            limit: options.limit
+        }
+    });
+}
+
+// Fetch one page of search results from a search request or a "next" link
+async function requestStacPage(link) {
+    const method = (link.method || 'GET').toUpperCase();
+    const request = { method, headers: { Accept: 'application/geo+json' } };
+
+    if (method === 'POST') {
+        request.headers['Content-Type'] = 'application/json';
+        request.body = JSON.stringify(link.body || {});
+    }
+
+    const response = await fetch(link.href, request);
+    if (!response.ok) {
+        throw new Error(`STAC search failed with HTTP status ${response.status}`);
+    }
+
+    const collection = await response.json();
+    const next = (collection.links || []).find(item => item.rel === 'next') || null;
+
+    // Some servers only send what changed in the next page's body, so merge it into the current one
+    if (next && link.body && next.body && next.merge) {
+        next.body = { ...link.body, ...next.body };
+    }
+
+    return {
+        items: (collection.features || []).map(normaliseStacItem),
+        next
+    };
+}
+
+// Tile codes are plain MGRS IDs in s2:mgrs_tile but prefixed in grid:code
+function formatStacTileCode(tileProperty, tileId) {
+    return tileProperty === 'grid:code' ? `MGRS-${tileId}` : tileId;
+}
+
+// Pick out what the scene list needs from a STAC item
+function normaliseStacItem(item) {
+    const properties = item.properties || {};
+    const assets = item.assets || {};
+    const preview = (item.links || []).find(link => link.rel === 'preview');
+    const thumbnail = assets.thumbnail || assets.rendered_preview || preview;
+
+    return {
+        id: item.id,
+        datetime: properties.datetime,
+        cloudCover: typeof properties['eo:cloud_cover'] === 'number' ? properties['eo:cloud_cover'] : null,
+        platform: properties.platform || '',
+        thumbnail: thumbnail ? toHttpUrl(thumbnail.href) : null,
+        visual: assets.visual ? toHttpUrl(assets.visual.href) : null,
+        geometry: item.geometry,
+        item
+    };
+}
+
+// Turn s3:// asset links into public HTTPS URLs a browser can load
+function toHttpUrl(href) {
+    const match = /^s3:\/\/([^/]+)\/(.+)$/.exec(href);
+    return match ? `https://${match[1]}.s3.amazonaws.com/${match[2]}` : href;
+}
@@ -0,0 +1,224 @@
+// Service worker: keeps the app, its libraries and grid data in a cache so the explorer opens offline,
+// and serves base map tiles saved by the offline panel when they cannot be fetched
+
+const APP_CACHE_PREFIX = 's2-grid-explorer.app-';
+const APP_CACHE = `${APP_CACHE_PREFIX}v2`; // Bump the version when the file list changes
+const TILE_CACHE = 's2-grid-explorer.tiles'; // Filled by offline.js; kept across app versions
+const SETTINGS_CACHE = 's2-grid-explorer.settings'; // Keeps the base layer's tile URL template while the worker is stopped
+const TILE_TEMPLATE_KEY = 'base-layer-tile-template'; // Key of the template in the settings cache
+
+// Files cached on install; optional data files that are missing are skipped
+const APP_FILES = [
+    './',
+    'index.html',
+    'style.css',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'geometry.js',
+    'spatial-index.js',
+    'utm.js',
+    'geodesic.js',
+    'tile-metadata.js',
+    'no-coverage.js',
+    'grid-systems.js',
+    'coordinate-parser.js',
+    'geocoder.js',
+    'stac-client.js',
+    'grid-client.js',
+    'grid-worker.js',
+    'tile-search.js',
+    'theme.js',
+    'grid-canvas-layer.js',
+    'grid-layers.js',
+    'utm-graticule.js',
+    'label-engine.js',
+    'orbit-schedule.js',
+    'orbits.js',
+    'acquisitions.js',
+    'cog-preview.js',
+    'scenes.js',
+    'tile-info.js',
+    'aoi.js',
+    'export.js',
+    'cross-reference.js',
+    'working-set.js',
+    'overlap.js',
+    'layer-manager.js',
+    'offline.js',
+    'permalink.js',
+    'script.js',
+    'data/sentinel-2_grids.geojson',
+    'data/sentinel-2_no_coverage.geojson',
+    'data/sentinel-2_orbit_table.json',
+    'data/layers.json',
+    'data/gazetteer.json'
+];
+
+// Libraries loaded from the CDN, including the images Leaflet's stylesheet refers to
+const LIBRARY_URLS = [
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+    'https://unpkg.com/leaflet@1.9.4/dist/images/layers.png',
+    'https://unpkg.com/leaflet@1.9.4/dist/images/layers-2x.png',
+    'https://unpkg.com/leaflet@1.9.4/dist/images/marker-icon.png',
+    'https://unpkg.com/leaflet@1.9.4/dist/images/marker-icon-2x.png',
+    'https://unpkg.com/leaflet@1.9.4/dist/images/marker-shadow.png',
+    'https://unpkg.com/leaflet-draw@1.0.4/dist/leaflet.draw.css',
+    'https://unpkg.com/leaflet-draw@1.0.4/dist/leaflet.draw.js',
+    'https://unpkg.com/leaflet-draw@1.0.4/dist/images/spritesheet.png',
+    'https://unpkg.com/leaflet-draw@1.0.4/dist/images/spritesheet-2x.png',
+    'https://unpkg.com/leaflet-draw@1.0.4/dist/images/spritesheet.svg',
+    'https://unpkg.com/shpjs@4.0.4/dist/shp.min.js',
+    'https://unpkg.com/geotiff@2.1.3/dist-browser/geotiff.js'
+];
+
+// Absolute URLs of everything cached on install; only these are answered from and stored in the app cache
+const APP_URLS = new Set([...APP_FILES.map(path => new URL(path, self.location).href), ...LIBRARY_URLS]);
+
+let tilePattern; // Matches the tile URLs of the base layer shown (null for none), or undefined until read
+let lastTileSource = null; // Where the last map tile came from ('network' or 'cache'), so pages hear only of changes
+
+// The worker is stopped when idle, so the pattern is read back whenever it starts
+readTilePattern();
+
+self.addEventListener('install', function (event) {
+    event.waitUntil(cacheAppFiles().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', function (event) {
+    event.waitUntil(removeOldAppCaches().then(() => self.clients.claim()));
+});
+
+// Pages say which base layer is shown, so only its tiles are served from the saved tiles
+self.addEventListener('message', function (event) {
+    if (event.data && event.data.type === 'baseLayer') {
+        event.waitUntil(setTileTemplate(event.data.template));
+    }
+});
+
+self.addEventListener('fetch', function (event) {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    // Partial responses cannot be cached, so byte ranges (such as COG previews) always go to the network
+    if (request.headers.has('Range')) return;
+
+    if (request.mode === 'navigate' || APP_URLS.has(request.url)) {
+        event.respondWith(respondFromAppCache(event));
+    } else if (request.destination === 'image' && tilePattern && tilePattern.test(request.url)) {
+        event.respondWith(respondWithTile(request));
+    }
+
+    // Anything else, such as STAC and geocoder requests, thumbnails and overlay images, goes straight to the network
+});
+
+// Cache the app files and libraries one by one, so one missing file does not stop the install
+async function cacheAppFiles() {
+    const cache = await caches.open(APP_CACHE);
+
+    await Promise.all([...APP_FILES, ...LIBRARY_URLS].map(async url => {
+        try {
+            await cache.add(url);
+        } catch (error) {
+            console.warn(`Could not cache ${url}:`, error);
+        }
+    }));
+}
+
+// Remove the caches of earlier app versions, keeping the saved tiles
+async function removeOldAppCaches() {
+    const names = await caches.keys();
+    await Promise.all(names
+        .filter(name => name.startsWith(APP_CACHE_PREFIX) && name !== APP_CACHE)
+        .map(name => caches.delete(name)));
+}
+
+// Answer from the app cache straight away and refresh the cached copy in the background,
+// so poor connections do not hold up loading; the newer copy is used on the next visit
+async function respondFromAppCache(event) {
+    const request = event.request;
+    const cache = await caches.open(APP_CACHE);
+
+    // The URL hash is never sent, and pages opened with a query string are still the app
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' }) ||
+        (request.mode === 'navigate' ? await cache.match('index.html') : undefined);
+
+    // Only whole responses for the files cached on install are stored, so the cache cannot grow
+    const update = fetch(request).then(response => {
+        if (response.status === 200 && APP_URLS.has(request.url)) {
+            cache.put(request, response.clone()).catch(error => {
+                console.warn(`Could not cache ${request.url}:`, error);
+            });
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(update.catch(() => {}));
+        return cached;
+    }
+
+    return update;
+}
+
+// Fetch a map tile, falling back to the saved tiles when offline or the request fails
+async function respondWithTile(request) {
+    if (self.navigator.onLine !== false) {
+        try {
+            const response = await fetch(request);
+            reportTileSource('network');
+            return response;
+        } catch (error) {
+            // Fall through to the saved tiles
+        }
+    }
+
+    const cache = await caches.open(TILE_CACHE);
+    const cached = await cache.match(request.url);
+    if (cached) {
+        reportTileSource('cache');
+        return cached;
+    }
+
+    return Response.error();
+}
+
+// Remember the base layer's tile URL template, or null when its tiles cannot be saved
+async function setTileTemplate(template) {
+    tilePattern = template ? getTileUrlPattern(template) : null;
+
+    const cache = await caches.open(SETTINGS_CACHE);
+    await cache.put(TILE_TEMPLATE_KEY, new Response(JSON.stringify(template || null)));
+}
+
+// Read the pattern of the base layer's tile URLs back from the settings cache, unless a page has sent it since
+// Until it is read, tiles go straight to the network
+async function readTilePattern() {
+    try {
+        const cache = await caches.open(SETTINGS_CACHE);
+        const response = await cache.match(TILE_TEMPLATE_KEY);
+        const template = response ? await response.json() : null;
+        if (tilePattern === undefined) {
+            tilePattern = template ? getTileUrlPattern(template) : null;
+        }
+    } catch (error) {
+        console.warn('Could not read the base layer tile template:', error);
+    }
+}
+
+// Turn a Leaflet tile URL template into a pattern matching its tile URLs, with any value for each {key}
+function getTileUrlPattern(template) {
+    const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`^${template.split(/\{[^}]+\}/).map(escape).join('[^/?&#]*')}$`);
+}
+
+// Tell the open pages when tiles switch between the network and the saved tiles
+async function reportTileSource(source) {
+    if (source === lastTileSource) return;
+    lastTileSource = source;
+
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage({ type: 'tileSource', source }));
+}
@@ -0,0 +1,61 @@
+// Tests for dissolving the no-coverage cells, run with `node --test test/`
+// The browser scripts share one global scope, so they are loaded into a context together
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const vm = require('node:vm');
+
+const context = vm.createContext({});
+['geometry.js', 'no-coverage.js'].forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context, { filename: file });
+});
+
+// A square cell as a GeoJSON feature, like those of a polygonised raster
+function cell(x, y, size = 1) {
+    return {
+        type: 'Feature',
+        properties: { DN: 0 },
+        geometry: {
+            type: 'Polygon',
+            coordinates: [[[x, y], [x + size, y], [x + size, y + size], [x, y + size], [x, y]]]
+        }
+    };
+}
+
+// The dissolved polygons, with plain arrays so they compare across contexts
+function dissolve(features) {
+    const { polygons } = context.dissolveNoCoverageAreas({ type: 'FeatureCollection', features }, 0.01);
+    return JSON.parse(JSON.stringify(polygons));
+}
+
+test('adjacent cells come out as one ring', () => {
+    assert.deepEqual(dissolve([cell(0, 0), cell(1, 0), cell(2, 0)]), [
+        [[[0, 0], [3, 0], [3, 1], [0, 1], [0, 0]]]
+    ]);
+});
+
+test('cells sharing part of an edge are joined', () => {
+    assert.deepEqual(dissolve([cell(0, 0, 2), cell(2, 1)]), [
+        [[[0, 0], [2, 0], [2, 1], [3, 1], [3, 2], [0, 2], [0, 0]]]
+    ]);
+});
+
+test('cells touching at a corner stay apart', () => {
+    assert.equal(dissolve([cell(0, 0), cell(1, 1)]).length, 2);
+});
+
+test('a gap enclosed by cells becomes a hole', () => {
+    const cells = [];
+    for (let x = 0; x < 3; x++) {
+        for (let y = 0; y < 3; y++) {
+            if (x !== 1 || y !== 1) cells.push(cell(x, y));
+        }
+    }
+
+    const polygons = dissolve(cells);
+    assert.equal(polygons.length, 1);
+    assert.equal(polygons[0].length, 2);
+    assert.equal(context.getPolygonArea(polygons[0]), 8);
+});
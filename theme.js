@@ -0,0 +1,180 @@
+// Grid theme: the palette, what the colours stand for, and the outline weight and fill of the grid
+// The chosen theme is saved in localStorage
+
+const GRID_THEME_STORAGE_KEY = 's2-grid-explorer.theme';
+
+// Palettes offered in the theme panel; colours are used in turn, so neighbouring zones and bands differ
+const GRID_PALETTES = {
+    vivid: {
+        label: 'Vivid',
+        colors: generateColumnColors(),
+        single: '#e74c3c'
+    },
+    okabeIto: {
+        label: 'Colour-blind safe (Okabe–Ito)',
+        colors: ['#e69f00', '#56b4e9', '#009e73', '#f0e442', '#0072b2', '#d55e00', '#cc79a7', '#000000'],
+        single: '#0072b2'
+    },
+    tolBright: {
+        label: 'Colour-blind safe (Tol bright)',
+        colors: ['#4477aa', '#ee6677', '#228833', '#ccbb44', '#66ccee', '#aa3377', '#bbbbbb'],
+        single: '#4477aa'
+    },
+    print: {
+        label: 'Print (high contrast)',
+        colors: ['#000000', '#004488', '#bb5566', '#ddaa33'],
+        single: '#000000'
+    }
+};
+
+// What the grid colours stand for
+const GRID_COLOR_MODES = {
+    zone: 'UTM zone',
+    band: 'Latitude band',
+    hemisphere: 'Hemisphere',
+    single: 'Single colour'
+};
+
+const DEFAULT_GRID_THEME = {
+    palette: 'vivid',
+    colorBy: 'zone',
+    lineWeight: 2, // Outline width in pixels once tiles are filled; thinner when zoomed out
+    fillOpacity: 0.1
+};
+
+let gridTheme = loadGridTheme(); // Theme in use
+
+// Generate contrasting colors for each column (01-60)
+function generateColumnColors() {
+    const colors = [];
+    const totalColumns = 60;
+
+    // Use HSL color space for even distribution and high contrast
+    for (let i = 0; i < totalColumns; i++) {
+        // Space hues evenly around the color wheel with offset for better contrast
+        const hue = (i * 137.508) % 360; // Golden angle for optimal spacing
+        const saturation = 70 + (i % 3) * 10; // Vary saturation slightly
+        const lightness = 45 + (i % 2) * 15; // Alternate lightness for contrast
+        colors.push(`hsl(${hue}, ${saturation}%, ${lightness}%)`);
+    }
+
+    return colors;
+}
+
+// Read the saved theme, keeping only known settings
+function loadGridTheme() {
+    let saved = {};
+
+    try {
+        saved = JSON.parse(localStorage.getItem(GRID_THEME_STORAGE_KEY)) || {};
+    } catch (error) {
+        console.warn('Could not read saved theme:', error);
+    }
+
+    return {
+        palette: GRID_PALETTES[saved.palette] ? saved.palette : DEFAULT_GRID_THEME.palette,
+        colorBy: GRID_COLOR_MODES[saved.colorBy] ? saved.colorBy : DEFAULT_GRID_THEME.colorBy,
+        lineWeight: typeof saved.lineWeight === 'number' ? saved.lineWeight : DEFAULT_GRID_THEME.lineWeight,
+        fillOpacity: typeof saved.fillOpacity === 'number' ? saved.fillOpacity : DEFAULT_GRID_THEME.fillOpacity
+    };
+}
+
+// Save the theme for the next session
+function saveGridTheme() {
+    try {
+        localStorage.setItem(GRID_THEME_STORAGE_KEY, JSON.stringify(gridTheme));
+    } catch (error) {
+        console.warn('Could not save theme:', error);
+    }
+}
+
+// Get color for a UTM zone (column) number in the current palette
+function getZoneColor(columnNum) {
+    const palette = GRID_PALETTES[gridTheme.palette];
+
+    if (columnNum === null) {
+        return palette.single;
+    }
+
+    return palette.colors[(columnNum - 1) % palette.colors.length];
+}
+
+// Get the colour of a tile from its UTM zone and latitude band letter, following the colour mode
+function getThemeColor(zone, band) {
+    const palette = GRID_PALETTES[gridTheme.palette];
+    const bandIndex = band ? MGRS_LATITUDE_BANDS.indexOf(band) : -1;
+
+    switch (gridTheme.colorBy) {
+        case 'zone':
+            return getZoneColor(zone);
+        case 'band':
+            return bandIndex >= 0 ? palette.colors[bandIndex % palette.colors.length] : palette.single;
+        case 'hemisphere':
+            if (bandIndex < 0) return palette.single;
+            return band >= 'N' ? palette.colors[0] : palette.colors[1];
+        default:
+            return palette.single;
+    }
+}
+
+// Setup the theme control and panel
+function setupThemePanel() {
+    const themeControl = L.control({ position: 'topleft' });
+    themeControl.onAdd = function () {
+        const container = L.DomUtil.create('div', 'leaflet-bar theme-control');
+        container.innerHTML = '<a href="#" title="Grid colours and style" role="button">&#9680;</a>';
+
+        L.DomEvent.disableClickPropagation(container);
+        L.DomEvent.on(container.querySelector('a'), 'click', function (e) {
+            L.DomEvent.preventDefault(e);
+            showPanel('theme-panel');
+        });
+
+        return container;
+    };
+    themeControl.addTo(map);
+
+    const paletteSelect = document.getElementById('theme-palette');
+    const colorBySelect = document.getElementById('theme-color-by');
+    const lineWeightInput = document.getElementById('theme-line-weight');
+    const fillOpacityInput = document.getElementById('theme-fill-opacity');
+
+    paletteSelect.innerHTML = Object.entries(GRID_PALETTES)
+        .map(([key, palette]) => `<option value="${key}">${palette.label}</option>`).join('');
+    colorBySelect.innerHTML = Object.entries(GRID_COLOR_MODES)
+        .map(([key, label]) => `<option value="${key}">${label}</option>`).join('');
+
+    paletteSelect.addEventListener('change', () => setGridTheme({ palette: paletteSelect.value }));
+    colorBySelect.addEventListener('change', () => setGridTheme({ colorBy: colorBySelect.value }));
+    lineWeightInput.addEventListener('change', () => setGridTheme({ lineWeight: Number(lineWeightInput.value) }));
+    fillOpacityInput.addEventListener('change', () => setGridTheme({ fillOpacity: Number(fillOpacityInput.value) }));
+
+    document.getElementById('theme-reset').addEventListener('click', function () {
+        setGridTheme(DEFAULT_GRID_THEME);
+    });
+
+    displayGridTheme();
+}
+
+// Show the current theme in the panel
+function displayGridTheme() {
+    document.getElementById('theme-palette').value = gridTheme.palette;
+    document.getElementById('theme-color-by').value = gridTheme.colorBy;
+    document.getElementById('theme-line-weight').value = gridTheme.lineWeight;
+    document.getElementById('theme-fill-opacity').value = gridTheme.fillOpacity;
+    document.getElementById('theme-line-weight-value').textContent = `${gridTheme.lineWeight} px`;
+    document.getElementById('theme-fill-opacity-value').textContent = `${Math.round(gridTheme.fillOpacity * 100)}%`;
+}
+
+// Change part of the theme, save it and redraw everything coloured by it
+function setGridTheme(changes) {
+    gridTheme = { ...gridTheme, ...changes };
+    saveGridTheme();
+    displayGridTheme();
+
+    gridSystemLayers.forEach(layer => layer.redraw());
+    updateUtmLegendColors();
+    if (utmGraticuleLayer && map.hasLayer(utmGraticuleLayer)) {
+        updateUtmGraticuleLabels();
+    }
+}
@@ -0,0 +1,109 @@
+// Tile info panel showing decoded MGRS details for a clicked tile
+
+// Setup the tile info panel
+function setupTileInfoPanel() {
+    // Closing the panel also removes the tile and orbit highlights
+    document.querySelector('#tile-info-panel .panel-close').addEventListener('click', function () {
+        clearHighlight();
+        clearOrbitHighlight();
+    });
+}
+
+// Open the info panel for a tile and keep it highlighted
+function showTileInfo(feature) {
+    const name = getGridName(feature);
+    const metadata = getTileMetadata(name, feature.geometry);
+    const content = document.getElementById('tile-info-content');
+
+    highlightGrid(feature, true);
+    clearOrbitHighlight();
+    document.getElementById('tile-info-title').textContent = `Tile ${name}`;
+
+    if (!metadata) {
+        content.innerHTML = `<p class="panel-summary">${escapeHtml(name)} is not a valid MGRS tile ID</p>`;
+        showPanel('tile-info-panel');
+        return;
+    }
+
+    const hemisphereName = metadata.hemisphere === 'N' ? 'Northern' : 'Southern';
+    const [bandSouth, bandNorth] = metadata.bandRange;
+
+    const cornerRows = metadata.corners.map(corner => `
+        <tr>
+            <td>${corner.label}</td>
+            <td>${formatLatLng(corner.lat, corner.lng)}</td>
+            <td>${corner.easting} E<br>${corner.northing} N</td>
+        </tr>
+    `).join('');
+
+    content.innerHTML = `
+        <table class="info-table">
+            <tr><th>UTM zone</th><td>${metadata.zone}${metadata.hemisphere}</td></tr>
+            <tr><th>Hemisphere</th><td>${hemisphereName}</td></tr>
+            <tr><th>Latitude band</th><td>${metadata.band} (${formatLatitude(bandSouth)} to ${formatLatitude(bandNorth)})</td></tr>
+            <tr><th>100 km square</th><td>${metadata.square} (column ${metadata.columnLetter}, row ${metadata.rowLetter})</td></tr>
+            <tr><th>EPSG</th><td>${metadata.epsg}</td></tr>
+            <tr><th>Size</th><td>${(metadata.widthMetres / 1000).toFixed(1)} × ${(metadata.heightMetres / 1000).toFixed(1)} km</td></tr>
+            <tr><th>Footprint area</th><td>${Math.round(metadata.areaKm2).toLocaleString()} km²</td></tr>
+            <tr><th>Perimeter</th><td>${metadata.perimeterKm.toFixed(1)} km</td></tr>
+            <tr><th>Centroid</th><td>${formatLatLng(metadata.centroid.lat, metadata.centroid.lng)}</td></tr>
+            <tr><th>No coverage</th><td id="tile-info-no-coverage">Measuring...</td></tr>
+        </table>
+        <div class="panel-actions">
+            <button id="tile-info-scenes" type="button">Find scenes</button>
+        </div>
+        <table class="info-table corner-table">
+            <tr><th>Corner</th><th>WGS84</th><th>UTM ${metadata.zone}${metadata.hemisphere}</th></tr>
+            ${cornerRows}
+        </table>
+        ${metadata.crossesAntimeridian ? '<p class="info-note">This tile crosses the antimeridian (±180°) and is split into two parts.</p>' : ''}
+        ${renderTileOrbits(feature)}
+        ${renderTileAcquisitions()}
+    `;
+    document.getElementById('tile-info-scenes').addEventListener('click', function () {
+        openScenePanel(name);
+    });
+    bindTileOrbitEvents(content);
+    bindTileAcquisitionEvents(content, feature);
+    displayTileNoCoverage(name);
+
+    showPanel('tile-info-panel');
+}
+
+// Fill in the share of a tile's footprint that falls in the no-coverage areas
+async function displayTileNoCoverage(name) {
+    let text;
+
+    try {
+        const [{ fraction }] = await fetchNoCoverageFractions([name]);
+
+        if (fraction === null) {
+            text = 'Unknown (no-coverage areas not loaded)';
+        } else if (fraction >= FULLY_UNCOVERED) {
+            text = 'Whole tile (outside Sentinel-2 coverage)';
+        } else if (fraction < 0.0005) {
+            text = 'None';
+        } else {
+            text = `${(fraction * 100).toFixed(1)}% of footprint`;
+        }
+    } catch (error) {
+        console.warn('Failed to measure tile coverage:', error);
+        text = 'Unknown';
+    }
+
+    // Another tile may have been opened meanwhile
+    const cell = document.getElementById('tile-info-no-coverage');
+    if (cell && highlightedGridName === name) {
+        cell.textContent = text;
+    }
+}
+
+// Format a latitude with its hemisphere letter
+function formatLatitude(lat) {
+    return `${Math.abs(lat)}°${lat < 0 ? 'S' : 'N'}`;
+}
+
+// Format a location as decimal degrees
+function formatLatLng(lat, lng) {
+    return `${lat.toFixed(5)}, ${lng.toFixed(5)}`;
+}
@@ -0,0 +1,139 @@
+// Sentinel-2 tile metadata decoded from MGRS tile IDs and footprints
+// Kept free of Leaflet and DOM references so it can be reused anywhere
+
+// MGRS latitude bands from 80°S northwards (I and O are skipped)
+const MGRS_LATITUDE_BANDS = 'CDEFGHJKLMNPQRSTUVWX';
+
+// Get grid name from feature properties
+function getGridName(feature) {
+    return feature.properties?.name ||
+        feature.properties?.Name ||
+        feature.properties?.title ||
+        feature.properties?.TITLE ||
+        feature.properties?.id ||
+        'Grid';
+}
+
+// Get UTM zone (column) number from a grid name, or null if invalid
+function getGridZone(gridName) {
+    if (!gridName || gridName.length < 2) return null;
+
+    // Extract column number (first 2 digits)
+    const columnNum = parseInt(gridName.substring(0, 2), 10);
+
+    if (isNaN(columnNum) || columnNum < 1 || columnNum > 60) {
+        return null;
+    }
+
+    return columnNum;
+}
+
+// Get the MGRS latitude band letter from a grid name, or null if invalid
+function getGridBand(gridName) {
+    const band = gridName && gridName.length >= 3 ? gridName.charAt(2).toUpperCase() : '';
+    return band && MGRS_LATITUDE_BANDS.includes(band) ? band : null;
+}
+
+// Parse a tile ID such as "50HMK" into its MGRS parts, or null if invalid
+function parseTileId(tileId) {
+    const match = /^(\d{2})([C-HJ-NP-X])([A-HJ-NP-Z])([A-HJ-NP-V])$/.exec(String(tileId).trim().toUpperCase());
+    if (!match) return null;
+
+    const zone = parseInt(match[1], 10);
+    if (zone < 1 || zone > 60) return null;
+
+    return {
+        zone: zone,
+        band: match[2],
+        hemisphere: match[2] >= 'N' ? 'N' : 'S',
+        columnLetter: match[3],
+        rowLetter: match[4],
+        square: match[3] + match[4]
+    };
+}
+
+// Get the latitude range [south, north] of an MGRS latitude band
+function getLatitudeBandRange(band) {
+    const index = MGRS_LATITUDE_BANDS.indexOf(band);
+    if (index < 0) return null;
+
+    const south = -80 + index * 8;
+    const north = band === 'X' ? 84 : south + 8; // Band X is 12° tall
+
+    return [south, north];
+}
+
+// List the MGRS grid zones (a UTM zone within a latitude band) as { name, zone, band, bounds: [west, south, east, north] }
+// Zones are 6° wide except for the Norway (32V) and Svalbard (31X to 37X) exceptions
+function getMgrsGridZones() {
+    const gridZones = [];
+
+    Array.from(MGRS_LATITUDE_BANDS).forEach(band => {
+        const [south, north] = getLatitudeBandRange(band);
+
+        for (let zone = 1; zone <= 60; zone++) {
+            let west = (zone - 1) * 6 - 180;
+            let east = west + 6;
+
+            if (band === 'V' && zone === 31) east = 3;
+            if (band === 'V' && zone === 32) west = 3;
+
+            if (band === 'X' && zone >= 31 && zone <= 37) {
+                if (zone % 2 === 0) continue; // 32X, 34X and 36X are unused
+                west = { 31: 0, 33: 9, 35: 21, 37: 33 }[zone];
+                east = { 31: 9, 33: 21, 35: 33, 37: 42 }[zone];
+            }
+
+            gridZones.push({ name: `${String(zone).padStart(2, '0')}${band}`, zone, band, bounds: [west, south, east, north] });
+        }
+    });
+
+    return gridZones;
+}
+
+// Get the EPSG code of the WGS84 / UTM zone projection
+function getUtmEpsgCode(zone, hemisphere) {
+    return (hemisphere === 'N' ? 32600 : 32700) + zone;
+}
+
+// Decode a tile's MGRS parts and measure its footprint
+function getTileMetadata(tileId, geometry) {
+    const parts = parseTileId(tileId);
+    if (!parts) return null;
+
+    const vertices = getGeometryPolygons(geometry).flatMap(polygon => polygon[0] || []);
+    if (vertices.length === 0) return null;
+
+    // Tiles are squares in their own UTM zone, so the corners come from the UTM extent
+    const projected = vertices.map(coord => latLngToUtm(coord[1], coord[0], parts.zone, parts.hemisphere));
+    const minEasting = Math.round(Math.min(...projected.map(point => point.easting)));
+    const maxEasting = Math.round(Math.max(...projected.map(point => point.easting)));
+    const minNorthing = Math.round(Math.min(...projected.map(point => point.northing)));
+    const maxNorthing = Math.round(Math.max(...projected.map(point => point.northing)));
+
+    const corners = [
+        { label: 'Upper left', easting: minEasting, northing: maxNorthing },
+        { label: 'Upper right', easting: maxEasting, northing: maxNorthing },
+        { label: 'Lower right', easting: maxEasting, northing: minNorthing },
+        { label: 'Lower left', easting: minEasting, northing: minNorthing }
+    ].map(corner => ({
+        ...corner,
+        ...utmToLatLng(parts.zone, parts.hemisphere, corner.easting, corner.northing)
+    }));
+
+    const bbox = getGeometryBBox(geometry);
+
+    return {
+        name: tileId,
+        ...parts,
+        bandRange: getLatitudeBandRange(parts.band),
+        epsg: getUtmEpsgCode(parts.zone, parts.hemisphere),
+        corners: corners,
+        widthMetres: maxEasting - minEasting,
+        heightMetres: maxNorthing - minNorthing,
+        centroid: getGeometryCentroid(geometry),
+        areaKm2: getGeometryGeodesicArea(geometry) / 1e6,
+        perimeterKm: getGeometryPerimeter(geometry) / 1000,
+        crossesAntimeridian: bbox !== null && bbox[2] - bbox[0] > 180
+    };
+}
@@ -0,0 +1,152 @@
+// Ranked tile name search: exact and prefix matches first, then substrings, then close misspellings
+// Also understands wildcard patterns ("50H*", "50?MK") and zone queries ("zone 50", "zone 50H")
+// Kept free of Leaflet and DOM references so it can be reused anywhere
+
+// Lower ranks sort first
+const TILE_SEARCH_RANKS = { exact: 0, prefix: 1, pattern: 1, substring: 2, fuzzy: 3 };
+
+// Search upper-case tile names, returning the best matches and how many matched in total
+// Each result is { index, name, rank, distance, ranges } where ranges are [start, end) spans that matched
+function searchTileNames(names, query, limit) {
+    const matcher = createTileMatcher(query);
+    if (!matcher) return { results: [], total: 0 };
+
+    const matches = [];
+    names.forEach((name, index) => {
+        const match = matcher(name);
+        if (match) {
+            matches.push({ index, name, ...match });
+        }
+    });
+
+    matches.sort((a, b) => a.rank - b.rank || a.distance - b.distance || a.name.localeCompare(b.name));
+
+    return { results: matches.slice(0, limit), total: matches.length };
+}
+
+// Build a function that matches a tile name against a query, or null for an empty query
+function createTileMatcher(query) {
+    const text = String(query).trim().toUpperCase();
+
+    // "zone 50" lists every tile in a UTM zone, "zone 50H" narrows it to a latitude band
+    const zoneMatch = /^ZONE ?(\d{1,2}) ?([C-HJ-NP-X])?$/.exec(text);
+    if (zoneMatch) {
+        const prefix = zoneMatch[1].padStart(2, '0') + (zoneMatch[2] || '');
+        return name => name.startsWith(prefix) ?
+            { rank: TILE_SEARCH_RANKS.pattern, distance: 0, ranges: [[0, prefix.length]] } : null;
+    }
+
+    const compact = text.replace(/\s+/g, '');
+    if (compact.length === 0) return null;
+
+    // Wildcards: * for any run of characters, ? for exactly one
+    if (/[*?]/.test(compact)) {
+        return createWildcardMatcher(compact);
+    }
+
+    // Allow one typo in short queries and two in full tile IDs
+    const maxDistance = compact.length < 3 ? 0 : compact.length < 5 ? 1 : 2;
+
+    return name => {
+        if (name === compact) {
+            return { rank: TILE_SEARCH_RANKS.exact, distance: 0, ranges: [[0, name.length]] };
+        }
+        if (name.startsWith(compact)) {
+            return { rank: TILE_SEARCH_RANKS.prefix, distance: 0, ranges: [[0, compact.length]] };
+        }
+
+        const position = name.indexOf(compact);
+        if (position >= 0) {
+            return { rank: TILE_SEARCH_RANKS.substring, distance: 0, ranges: [[position, position + compact.length]] };
+        }
+
+        if (maxDistance === 0) return null;
+
+        // Compare against the start of the name so partly typed IDs with a typo still match
+        const target = name.slice(0, compact.length);
+        const distance = getEditDistance(compact, target, maxDistance);
+        if (distance > maxDistance) return null;
+
+        return { rank: TILE_SEARCH_RANKS.fuzzy, distance, ranges: getSamePositionRanges(compact, target) };
+    };
+}
+
+// Build a matcher for a wildcard pattern, highlighting the literal parts
+function createWildcardMatcher(pattern) {
+    const tokens = pattern.match(/\*+|\?|[^*?]+/g);
+    const source = tokens.map(token => {
+        if (token[0] === '*') return '.*?';
+        if (token === '?') return '.';
+        return `(${token.replace(/[.+^${}()|[\]\\]/g, '\\$&')})`;
+    }).join('');
+    const regex = new RegExp(`^${source}$`, 'd');
+
+    return name => {
+        const match = regex.exec(name);
+        if (!match) return null;
+
+        // Every capture group is a literal part of the pattern
+        const ranges = match.indices.slice(1).filter(range => range !== undefined && range[1] > range[0]);
+        return { rank: TILE_SEARCH_RANKS.pattern, distance: 0, ranges };
+    };
+}
+
+// Optimal string alignment distance: insertions, deletions, substitutions and adjacent swaps
+// Stops early and returns a value above maxDistance once the strings are too far apart
+function getEditDistance(a, b, maxDistance = Infinity) {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+    // Three rolling rows; the one two back is needed for swaps
+    let previousRow = new Array(b.length + 1);
+    let row = new Array(b.length + 1);
+    let nextRow = new Array(b.length + 1);
+
+    for (let j = 0; j <= b.length; j++) {
+        row[j] = j;
+    }
+
+    for (let i = 1; i <= a.length; i++) {
+        nextRow[0] = i;
+        let rowMin = i;
+
+        for (let j = 1; j <= b.length; j++) {
+            let value = row[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+            if (row[j] + 1 < value) value = row[j] + 1;
+            if (nextRow[j - 1] + 1 < value) value = nextRow[j - 1] + 1;
+
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1] && previousRow[j - 2] + 1 < value) {
+                value = previousRow[j - 2] + 1;
+            }
+
+            nextRow[j] = value;
+            if (value < rowMin) rowMin = value;
+        }
+
+        if (rowMin > maxDistance) return maxDistance + 1;
+
+        const oldest = previousRow;
+        previousRow = row;
+        row = nextRow;
+        nextRow = oldest;
+    }
+
+    return row[b.length];
+}
+
+// Get the spans where two strings have the same character in the same position
+function getSamePositionRanges(a, b) {
+    const ranges = [];
+
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        if (a[i] !== b[i]) continue;
+
+        const last = ranges[ranges.length - 1];
+        if (last && last[1] === i) {
+            last[1] = i + 1;
+        } else {
+            ranges.push([i, i + 1]);
+        }
+    }
+
+    return ranges;
+}
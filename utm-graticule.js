@@ -0,0 +1,184 @@
+// UTM graticule: the zone and latitude band boundaries with labels, plus a legend of the zone colours
+
+const UTM_GRID_ZONE_LABEL_ZOOM = 4; // Label each grid zone (e.g. 32V) from this zoom, and only zone numbers below it
+
+let utmGraticuleLayer = null; // Zone and band boundaries with their labels
+let utmGraticuleBoundaries = null; // Zone and band boundaries on each copy of the world in view
+let utmGraticuleLabels = null; // Labels for the part of the graticule in view
+let utmGraticuleOffsets = ''; // Longitude offsets of the world copies the boundaries are drawn on
+
+// Add the graticule to the layer control and the zone colour legend to the map
+function setupUtmGraticule() {
+    const gridZones = getMgrsGridZones();
+
+    utmGraticuleBoundaries = L.layerGroup();
+    utmGraticuleLabels = L.layerGroup();
+    utmGraticuleLayer = L.layerGroup([utmGraticuleBoundaries, utmGraticuleLabels]);
+
+    // Boundaries and labels are only kept for the view, so they follow the map while the graticule is shown
+    utmGraticuleLayer.on('add', function () {
+        updateUtmGraticule();
+        map.on('zoomend moveend', updateUtmGraticule);
+    });
+    utmGraticuleLayer.on('remove', function () {
+        map.off('zoomend moveend', updateUtmGraticule);
+        utmGraticuleBoundaries.clearLayers();
+        utmGraticuleLabels.clearLayers();
+        utmGraticuleOffsets = '';
+    });
+
+    map.layerControl.addOverlay(utmGraticuleLayer, 'UTM Zones');
+    createUtmLegend(gridZones).addTo(map);
+    updateUtmLegendColors();
+}
+
+// Redraw the graticule for the view
+function updateUtmGraticule() {
+    updateUtmGraticuleBoundaries();
+    updateUtmGraticuleLabels();
+}
+
+// Get the longitude offsets (multiples of 360) of the copies of the world the view shows
+function getWorldOffsetsInView(bounds) {
+    const offsets = [];
+    for (let offset = Math.ceil((bounds.getWest() - 180) / 360); offset <= Math.floor((bounds.getEast() + 180) / 360); offset++) {
+        offsets.push(offset * 360);
+    }
+    return offsets;
+}
+
+// Outline the grid zones on every copy of the world in view, only redrawing when that changes
+// Each grid zone is outlined on its own; shared edges are simply drawn twice
+function updateUtmGraticuleBoundaries() {
+    const offsets = getWorldOffsetsInView(map.getBounds());
+    if (offsets.join() === utmGraticuleOffsets) return;
+    utmGraticuleOffsets = offsets.join();
+
+    const renderer = L.canvas({ padding: 0.5 });
+    utmGraticuleBoundaries.clearLayers();
+
+    offsets.forEach(offset => getMgrsGridZones().forEach(gridZone => {
+        const [west, south, east, north] = gridZone.bounds;
+        utmGraticuleBoundaries.addLayer(L.rectangle([[south, west + offset], [north, east + offset]], {
+            renderer,
+            color: '#37474f',
+            weight: 1,
+            opacity: 0.7,
+            fill: false,
+            interactive: false
+        }));
+    }));
+}
+
+// Label the graticule in view: grid zones when zoomed in, zone numbers along the middle of the view otherwise
+function updateUtmGraticuleLabels() {
+    const zoom = map.getZoom();
+    const bounds = map.getBounds();
+
+    const centreLng = bounds.getCenter().lng;
+
+    utmGraticuleLabels.clearLayers();
+
+    // Labels go on the copy of the world in view, which is never wider than one world when zoomed in
+    if (zoom >= UTM_GRID_ZONE_LABEL_ZOOM) {
+        getMgrsGridZones().forEach(gridZone => {
+            const [west, south, east, north] = gridZone.bounds;
+            const offset = wrapLngNear((west + east) / 2, centreLng) - (west + east) / 2;
+            if (!bounds.intersects(L.latLngBounds([[south, west + offset], [north, east + offset]]))) return;
+
+            utmGraticuleLabels.addLayer(createUtmLabel([(south + north) / 2, (west + east) / 2 + offset], gridZone.name, gridZone.zone));
+        });
+        return;
+    }
+
+    // Zones are too narrow to label every one when zoomed out
+    const step = zoom >= 3 ? 1 : zoom === 2 ? 2 : 5;
+    const lat = Math.max(-80, Math.min(84, bounds.getCenter().lat));
+
+    const offsets = getWorldOffsetsInView(bounds);
+
+    for (let zone = 1; zone <= 60; zone += step) {
+        offsets.forEach(offset => {
+            const lng = getUtmCentralMeridian(zone) + offset;
+            if (lng < bounds.getWest() || lng > bounds.getEast()) return;
+
+            utmGraticuleLabels.addLayer(createUtmLabel([lat, lng], String(zone), zone));
+        });
+    }
+}
+
+// Create a label in the colour its zone's tiles are drawn in
+function createUtmLabel(latlng, text, zone) {
+    return L.marker(latlng, {
+        icon: L.divIcon({
+            className: 'utm-label',
+            html: `<span style="background: ${getZoneColor(zone)}">${text}</span>`,
+            iconSize: [null, null],
+            iconAnchor: [0, 0]
+        }),
+        interactive: false,
+        keyboard: false
+    });
+}
+
+// Create a collapsible legend of the zone colours; clicking a zone pans the map to it
+function createUtmLegend(gridZones) {
+    const legendControl = L.control({ position: 'bottomright' });
+    legendControl.onAdd = function () {
+        const container = L.DomUtil.create('div', 'leaflet-bar utm-legend');
+        const zones = [];
+        for (let zone = 1; zone <= 60; zone++) {
+            zones.push(`
+                <button class="utm-legend-zone" type="button" data-zone="${zone}" style="background: ${getZoneColor(zone)}"
+                    title="Zone ${zone}: ${describeUtmZone(zone, gridZones)}">${zone}</button>
+            `);
+        }
+
+        container.innerHTML = `
+            <a href="#" class="utm-legend-toggle" title="Tile colours by UTM zone" role="button">UTM zones</a>
+            <div class="utm-legend-zones hidden">${zones.join('')}</div>
+        `;
+
+        L.DomEvent.disableClickPropagation(container);
+        L.DomEvent.disableScrollPropagation(container);
+
+        L.DomEvent.on(container.querySelector('.utm-legend-toggle'), 'click', function (e) {
+            L.DomEvent.preventDefault(e);
+            container.querySelector('.utm-legend-zones').classList.toggle('hidden');
+        });
+
+        container.querySelectorAll('.utm-legend-zone').forEach(button => {
+            button.addEventListener('click', function () {
+                const centre = map.getCenter();
+                map.panTo([centre.lat, wrapLngNear(getUtmCentralMeridian(Number(this.dataset.zone)), centre.lng)]);
+            });
+        });
+
+        return container;
+    };
+
+    return legendControl;
+}
+
+// Recolour the legend after a theme change; it only describes the tiles while they are coloured by zone
+function updateUtmLegendColors() {
+    const legend = document.querySelector('.utm-legend');
+    if (!legend) return;
+
+    legend.classList.toggle('hidden', gridTheme.colorBy !== 'zone');
+    legend.querySelectorAll('.utm-legend-zone').forEach(button => {
+        button.style.background = getZoneColor(Number(button.dataset.zone));
+    });
+}
+
+// Describe the longitudes a zone covers, noting where the Norway and Svalbard exceptions change them
+function describeUtmZone(zone, gridZones) {
+    const west = (zone - 1) * 6 - 180;
+    const formatLng = lng => `${Math.abs(lng)}°${lng < 0 ? 'W' : 'E'}`;
+    const exceptions = gridZones
+        .filter(gridZone => gridZone.zone === zone && (gridZone.bounds[0] !== west || gridZone.bounds[2] !== west + 6))
+        .map(gridZone => `${gridZone.name} ${formatLng(gridZone.bounds[0])} to ${formatLng(gridZone.bounds[2])}`);
+    const unused = zone >= 32 && zone <= 36 && zone % 2 === 0 ? [`${zone}X unused`] : [];
+
+    return [`${formatLng(west)} to ${formatLng(west + 6)}`, ...exceptions, ...unused].join('; ');
+}
@@ -0,0 +1,112 @@
+// UTM projection on the WGS84 ellipsoid (Krüger series, accurate to well under a millimetre)
+// Kept free of Leaflet and DOM references so it can be reused anywhere
+
+const UTM = (function () {
+    const a = 6378137;
+    const f = 1 / 298.257223563;
+    const k0 = 0.9996;
+    const e = Math.sqrt(f * (2 - f));
+    const n = f / (2 - f);
+    const n2 = n * n;
+    const n3 = n2 * n;
+
+    const A = a / (1 + n) * (1 + n2 / 4 + n2 * n2 / 64);
+    const alpha = [n / 2 - 2 * n2 / 3 + 5 * n3 / 16, 13 * n2 / 48 - 3 * n3 / 5, 61 * n3 / 240];
+    const beta = [n / 2 - 2 * n2 / 3 + 37 * n3 / 96, n2 / 48 + n3 / 15, 17 * n3 / 480];
+    const delta = [2 * n - 2 * n2 / 3 - 2 * n3, 7 * n2 / 3 - 8 * n3 / 5, 56 * n3 / 15];
+
+    return { k0, e, A, alpha, beta, delta, falseEasting: 500000, falseNorthing: 10000000 };
+})();
+
+function toRadians(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+function toDegrees(radians) {
+    return radians * 180 / Math.PI;
+}
+
+// Get the central meridian of a UTM zone in degrees
+function getUtmCentralMeridian(zone) {
+    return (zone - 1) * 6 - 180 + 3;
+}
+
+// Get the standard UTM zone for a location, including the Norway and Svalbard exceptions
+function getUtmZoneForLatLng(lat, lng) {
+    const wrappedLng = ((lng + 180) % 360 + 360) % 360 - 180;
+    let zone = Math.floor((wrappedLng + 180) / 6) + 1;
+    if (zone > 60) zone = 60;
+
+    // Norway: zone 32V is widened to cover 3°E to 12°E
+    if (lat >= 56 && lat < 64 && wrappedLng >= 3 && wrappedLng < 12) {
+        zone = 32;
+    }
+
+    // Svalbard: zones 31X, 33X, 35X and 37X are widened, 32X, 34X and 36X are unused
+    if (lat >= 72 && lat <= 84 && wrappedLng >= 0 && wrappedLng < 42) {
+        if (wrappedLng < 9) zone = 31;
+        else if (wrappedLng < 21) zone = 33;
+        else if (wrappedLng < 33) zone = 35;
+        else zone = 37;
+    }
+
+    return zone;
+}
+
+// Project a WGS84 location to UTM, optionally forcing the zone and hemisphere
+function latLngToUtm(lat, lng, zone, hemisphere) {
+    const utmZone = zone || getUtmZoneForLatLng(lat, lng);
+    const utmHemisphere = hemisphere || (lat < 0 ? 'S' : 'N');
+
+    let lngOffset = lng - getUtmCentralMeridian(utmZone);
+    lngOffset = ((lngOffset + 180) % 360 + 360) % 360 - 180;
+
+    const phi = toRadians(lat);
+    const lambda = toRadians(lngOffset);
+
+    const sinPhi = Math.sin(phi);
+    const t = Math.sinh(Math.atanh(sinPhi) - UTM.e * Math.atanh(UTM.e * sinPhi));
+    const xiPrime = Math.atan2(t, Math.cos(lambda));
+    const etaPrime = Math.atanh(Math.sin(lambda) / Math.sqrt(1 + t * t));
+
+    let xi = xiPrime;
+    let eta = etaPrime;
+    UTM.alpha.forEach((coefficient, index) => {
+        const j = 2 * (index + 1);
+        xi += coefficient * Math.sin(j * xiPrime) * Math.cosh(j * etaPrime);
+        eta += coefficient * Math.cos(j * xiPrime) * Math.sinh(j * etaPrime);
+    });
+
+    const easting = UTM.falseEasting + UTM.k0 * UTM.A * eta;
+    let northing = UTM.k0 * UTM.A * xi;
+    if (utmHemisphere === 'S') northing += UTM.falseNorthing;
+
+    return { zone: utmZone, hemisphere: utmHemisphere, easting, northing };
+}
+
+// Convert UTM coordinates back to a WGS84 location
+function utmToLatLng(zone, hemisphere, easting, northing) {
+    const xi = (hemisphere === 'S' ? northing - UTM.falseNorthing : northing) / (UTM.k0 * UTM.A);
+    const eta = (easting - UTM.falseEasting) / (UTM.k0 * UTM.A);
+
+    let xiPrime = xi;
+    let etaPrime = eta;
+    UTM.beta.forEach((coefficient, index) => {
+        const j = 2 * (index + 1);
+        xiPrime -= coefficient * Math.sin(j * xi) * Math.cosh(j * eta);
+        etaPrime -= coefficient * Math.cos(j * xi) * Math.sinh(j * eta);
+    });
+
+    const chi = Math.asin(Math.sin(xiPrime) / Math.cosh(etaPrime));
+    const lambda = Math.atan2(Math.sinh(etaPrime), Math.cos(xiPrime));
+
+    let phi = chi;
+    UTM.delta.forEach((coefficient, index) => {
+        phi += coefficient * Math.sin(2 * (index + 1) * chi);
+    });
+
+    let lng = getUtmCentralMeridian(zone) + toDegrees(lambda);
+    lng = ((lng + 180) % 360 + 360) % 360 - 180;
+
+    return { lat: toDegrees(phi), lng };
+}
@@ -0,0 +1,233 @@
+// Working set: a persistent multi-tile selection built with shift-click or a lasso
+
+const WORKING_SET_STORAGE_KEY = 's2-grid-explorer.working-set';
+
+let workingSet = new Map(); // Tile name -> feature
+let workingSetLayer = null; // Overlay showing the working set
+let lassoActive = false; // Whether the lasso tool is switched on
+let lassoPoints = []; // Points of the lasso being drawn
+let lassoLine = null; // Line showing the lasso being drawn
+
+// Setup the working set control, panel and lasso events
+function setupWorkingSet() {
+    const workingSetControl = L.control({ position: 'topleft' });
+    workingSetControl.onAdd = function () {
+        const container = L.DomUtil.create('div', 'leaflet-bar working-set-control');
+        container.innerHTML = `
+            <a href="#" class="lasso-button" title="Lasso tiles into the working set (hold Alt to remove)" role="button">&#10551;</a>
+            <a href="#" class="working-set-button" title="Show working set" role="button">&#9776;<span id="working-set-badge" class="badge hidden">0</span></a>
+        `;
+
+        L.DomEvent.disableClickPropagation(container);
+        L.DomEvent.on(container.querySelector('.lasso-button'), 'click', function (e) {
+            L.DomEvent.preventDefault(e);
+            setLassoActive(!lassoActive);
+        });
+        L.DomEvent.on(container.querySelector('.working-set-button'), 'click', function (e) {
+            L.DomEvent.preventDefault(e);
+            showPanel('working-set-panel');
+        });
+
+        return container;
+    };
+    workingSetControl.addTo(map);
+
+    map.on('mousedown', startLasso);
+    map.on('mousemove', extendLasso);
+    map.on('mouseup', finishLasso);
+
+    document.getElementById('working-set-clear').addEventListener('click', clearWorkingSet);
+}
+
+// Handle a click on a tile: shift-click toggles it in the working set
+function handleGridClick(e, feature) {
+    if (e.originalEvent && e.originalEvent.shiftKey) {
+        toggleWorkingSetTile(feature);
+    } else {
+        showTileInfo(feature);
+    }
+}
+
+// Add or remove a tile from the working set
+function toggleWorkingSetTile(feature) {
+    const name = getGridName(feature);
+
+    if (workingSet.has(name)) {
+        workingSet.delete(name);
+    } else {
+        workingSet.set(name, feature);
+    }
+
+    updateWorkingSet();
+}
+
+// Restore the working set saved in a previous session
+async function restoreWorkingSet() {
+    let names = [];
+
+    try {
+        names = JSON.parse(localStorage.getItem(WORKING_SET_STORAGE_KEY)) || [];
+    } catch (error) {
+        console.warn('Could not read saved working set:', error);
+    }
+
+    const grids = await fetchGridsByName(names);
+    grids.forEach(grid => workingSet.set(grid.name, grid.feature));
+
+    console.log(`Restored working set with ${workingSet.size} tiles`);
+    updateWorkingSet();
+}
+
+// Save the working set, then refresh its overlay and panel
+function updateWorkingSet() {
+    try {
+        localStorage.setItem(WORKING_SET_STORAGE_KEY, JSON.stringify(Array.from(workingSet.keys())));
+    } catch (error) {
+        console.warn('Could not save working set:', error);
+    }
+
+    renderWorkingSetLayer();
+    displayWorkingSet();
+    updatePermalink();
+}
+
+// Draw the working set overlay
+function renderWorkingSetLayer() {
+    if (workingSetLayer) {
+        map.removeLayer(workingSetLayer);
+        workingSetLayer = null;
+    }
+
+    if (workingSet.size === 0) return;
+
+    workingSetLayer = L.geoJSON(Array.from(workingSet.values()), {
+        style: {
+            color: '#e040fb',
+            weight: 3,
+            opacity: 1,
+            fillOpacity: 0.25,
+            fillColor: '#e040fb'
+        },
+        interactive: false
+    }).addTo(map);
+}
+
+// List the working set in the side panel
+function displayWorkingSet() {
+    const names = Array.from(workingSet.keys()).sort();
+    const list = document.getElementById('working-set-list');
+    const badge = document.getElementById('working-set-badge');
+
+    document.getElementById('working-set-count').textContent = names.length;
+    badge.textContent = names.length;
+    badge.classList.toggle('hidden', names.length === 0);
+
+    if (names.length === 0) {
+        list.innerHTML = '<div class="no-results">Shift-click tiles or use the lasso to add them</div>';
+        return;
+    }
+
+    list.innerHTML = names.map(name => `
+        <div class="tile-list-item" data-name="${name}">
+            <span class="tile-list-name">${name}</span>
+            <button class="tile-list-remove" type="button" title="Remove from working set">&times;</button>
+        </div>
+    `).join('');
+
+    list.querySelectorAll('.tile-list-item').forEach(element => {
+        const name = element.dataset.name;
+
+        element.addEventListener('click', function () {
+            const feature = workingSet.get(name);
+            if (feature) {
+                map.fitBounds(L.geoJSON(feature).getBounds());
+            }
+        });
+
+        element.querySelector('.tile-list-remove').addEventListener('click', function (e) {
+            e.stopPropagation();
+            workingSet.delete(name);
+            updateWorkingSet();
+        });
+    });
+}
+
+// Empty the working set
+function clearWorkingSet() {
+    workingSet.clear();
+    updateWorkingSet();
+}
+
+// Switch the lasso tool on or off
+function setLassoActive(active) {
+    lassoActive = active;
+    document.querySelector('.lasso-button').classList.toggle('active', active);
+    map.getContainer().classList.toggle('lasso-mode', active);
+
+    if (active) {
+        map.dragging.disable();
+    } else {
+        map.dragging.enable();
+        cancelLasso();
+    }
+}
+
+// Start drawing a lasso
+function startLasso(e) {
+    if (!lassoActive) return;
+
+    lassoPoints = [e.latlng];
+    lassoLine = L.polyline(lassoPoints, {
+        color: '#e040fb',
+        weight: 2,
+        dashArray: '4 4',
+        interactive: false
+    }).addTo(map);
+}
+
+// Add a point to the lasso being drawn
+function extendLasso(e) {
+    if (!lassoLine) return;
+
+    lassoPoints.push(e.latlng);
+    lassoLine.addLatLng(e.latlng);
+}
+
+// Close the lasso and add (or with Alt, remove) the tiles whose centres fall inside it
+async function finishLasso(e) {
+    if (!lassoLine) return;
+
+    const removing = e.originalEvent && e.originalEvent.altKey;
+    const drawnRing = lassoPoints.map(latlng => [latlng.lng, latlng.lat]);
+    cancelLasso();
+
+    if (drawnRing.length < 3) return;
+
+    if (gridCount === 0) return;
+
+    const ring = offsetRing(drawnRing, getWorldOffset(getRingBBox(drawnRing)));
+    const grids = await findGridsInRing(ring);
+    let changed = 0;
+
+    grids.forEach(grid => {
+        if (removing && workingSet.has(grid.name)) {
+            workingSet.delete(grid.name);
+            changed++;
+        } else if (!removing && !workingSet.has(grid.name)) {
+            workingSet.set(grid.name, grid.feature);
+            changed++;
+        }
+    });
+
+    console.log(`Lasso ${removing ? 'removed' : 'added'} ${changed} tiles`);
+    updateWorkingSet();
+}
+
+// Remove the lasso being drawn
+function cancelLasso() {
+    if (lassoLine) {
+        map.removeLayer(lassoLine);
+        lassoLine = null;
+    }
+    lassoPoints = [];
+}